@@ -7,19 +7,18 @@ import {PoliticalLive} from "./political_live"
 import {SentimentChart} from "./sentiment_chart"
 import {SimpleChart} from "./simple_chart"
 import {TestHook} from "./test_hook"
-import {MarketCapChart} from "./market_cap_chart"
-import {FearGreedChart} from "./fear_greed_chart"
-import {VolatilityChart} from "./volatility_chart"
-import {OverallSentimentChart} from "./overall_sentiment_chart"
-import {NewsSentimentChart} from "./news_sentiment_chart"
-import {SocialSentimentChart} from "./social_sentiment_chart"
+import {Sparkline} from "./sparkline"
 import {MagnetosphereAnimation} from "./van_allen_animation"
 import {ThreeJSMagnetosphere} from "./threejs_magnetosphere"
 import {SolarWindAnimation} from "./solar_wind_animation"
 import {KPIntensityBar} from "./kp_intensity_bar"
 import {SolarWindIntensityBar} from "./solar_wind_intensity_bar"
+import {IMFPanel} from "./imf_panel"
+import {AuroraMap} from "./aurora_map"
 import {EarthquakeGlobe} from "./earthquake_globe_globegl"
 import {ProfessionalGauge} from "./professional_gauge"
+import {attachGaugeHistory, closeGaugeHistory} from "./gauge_history_panel"
+import {recordSnapshot, latestSnapshot, windowSeries, windowLabel, windowedChanges, windowedAverages, emphasize} from "./financial_charts"
 
 // Make Chart.js available globally if it exists
 if (typeof Chart !== 'undefined') {
@@ -41,19 +40,8 @@ Hooks.SimpleChart = SimpleChart
 // Test Hook
 Hooks.TestHook = TestHook
 
-// Market Cap Chart Hook
-Hooks.MarketCapChart = MarketCapChart
-
-// Fear & Greed Chart Hook
-Hooks.FearGreedChart = FearGreedChart
-
-// Volatility Chart Hook
-Hooks.VolatilityChart = VolatilityChart
-
-// Individual Sentiment Chart Hooks
-Hooks.OverallSentimentChart = OverallSentimentChart
-Hooks.NewsSentimentChart = NewsSentimentChart
-Hooks.SocialSentimentChart = SocialSentimentChart
+// Configurable Sparkline Hook (metric tiles)
+Hooks.Sparkline = Sparkline
 
 // Advanced Magnetosphere Animation Hook
 Hooks.MagnetosphereAnimation = MagnetosphereAnimation
@@ -68,6 +56,12 @@ Hooks.SolarWindAnimation = SolarWindAnimation
 Hooks.KPIntensityBar = KPIntensityBar
 Hooks.SolarWindIntensityBar = SolarWindIntensityBar
 
+// IMF Bz/Bt Panel Hook (southward-turning alerts)
+Hooks.IMFPanel = IMFPanel
+
+// Aurora Visibility Map Hook
+Hooks.AuroraMap = AuroraMap
+
 // Earthquake Globe Hook
 Hooks.EarthquakeGlobe = EarthquakeGlobe
 
@@ -138,6 +132,7 @@ Hooks.InfiniteScroll = {
 Hooks.ProfessionalGauge = {
   mounted() {
     this.initGauge()
+    attachGaugeHistory(this, this.el.dataset.title || "Gauge")
     
     // Listen for real-time gauge updates from LiveView
     this.handleEvent("gauge_realtime_update", (payload) => {
@@ -161,6 +156,8 @@ Hooks.ProfessionalGauge = {
   },
 
   destroyed() {
+    closeGaugeHistory(this)
+
     if (this.gauge && typeof this.gauge.destroy === 'function') {
       try {
         this.gauge.destroy()
@@ -176,7 +173,6 @@ Hooks.ProfessionalGauge = {
     const minValue = parseFloat(this.el.dataset.minValue) || 0
     const maxValue = parseFloat(this.el.dataset.maxValue) || 100
     const colors = JSON.parse(this.el.dataset.colors || '{}')
-    const confidence = parseFloat(this.el.dataset.confidence) || 0.5
 
     // Create unique ID for this gauge
     const gaugeId = `professional-gauge-${Math.random().toString(36).substr(2, 9)}`
@@ -189,10 +185,10 @@ Hooks.ProfessionalGauge = {
       maxValue: 1,
       category: category,
       colors: colors,
-      confidence: confidence,
       animated: true,
       particles: true,
-      interactive: true
+      interactive: true,
+      ...this.readContext(minValue, maxValue)
     })
     
     // Store original range for updates
@@ -210,6 +206,24 @@ Hooks.ProfessionalGauge = {
     // Update gauge with normalized value
     const normalizedValue = this.normalizeValue(value, minValue, maxValue)
     this.gauge.updateValue(normalizedValue, true)
+    this.gauge.updateContext(this.readContext(minValue, maxValue))
+  },
+
+  // Baselines are normalized like the value; "-7d" isn't camel-cased by
+  // dataset, hence the bracket lookups
+  readContext(minValue, maxValue) {
+    const baseline = (key) => {
+      const value = parseFloat(this.el.dataset[key])
+      return Number.isFinite(value) ? this.normalizeValue(value, minValue, maxValue) : null
+    }
+    const confidence = parseFloat(this.el.dataset.confidence)
+
+    return {
+      baseline7d: baseline('baseline-7d'),
+      baseline30d: baseline('baseline-30d'),
+      trend: this.el.dataset.trend,
+      confidence: Number.isFinite(confidence) ? confidence : 0.5
+    }
   },
 
   normalizeValue(value, min, max) {
@@ -468,21 +482,24 @@ Hooks.GaugeChart = {
 Hooks.CryptoChart = {
   mounted() {
     const ctx = this.el.querySelector('#crypto-canvas')
-    const data = JSON.parse(this.el.dataset.prices)
+    recordSnapshot('crypto_prices', JSON.parse(this.el.dataset.prices))
+    
+    this.timeRange = this.el.dataset.timeRange || '1D'
+    this.highlightedAsset = this.el.dataset.selectedAsset
     
     this.chart = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: data.map(d => d.name),
+        labels: [],
         datasets: [{
           label: 'Price (USD)',
-          data: data.map(d => d.price),
+          data: [],
           borderColor: 'rgb(59, 130, 246)',
           backgroundColor: 'rgba(59, 130, 246, 0.1)',
           tension: 0.1
         }, {
           label: '24h Change %',
-          data: data.map(d => d.change_percent),
+          data: [],
           borderColor: 'rgb(16, 185, 129)',
           backgroundColor: 'rgba(16, 185, 129, 0.1)',
           yAxisID: 'y1',
@@ -516,16 +533,50 @@ Hooks.CryptoChart = {
         }
       }
     })
+    
+    this.renderWindow()
+    
+    this.handleEvent("update-charts", ({data, timestamp}) => {
+      if (data && recordSnapshot('crypto_prices', data.crypto_prices, timestamp)) {
+        this.renderWindow()
+      }
+    })
+    
+    this.handleEvent("update-time-range", ({range}) => {
+      this.timeRange = range
+      this.renderWindow()
+    })
+    
+    this.handleEvent("highlight-asset", ({asset}) => {
+      this.highlightedAsset = asset
+      this.renderWindow()
+    })
   },
   
-  updated() {
-    if (this.chart) {
-      const data = JSON.parse(this.el.dataset.prices)
-      this.chart.data.labels = data.map(d => d.name)
-      this.chart.data.datasets[0].data = data.map(d => d.price)
-      this.chart.data.datasets[1].data = data.map(d => d.change_percent)
-      this.chart.update('none')
-    }
+  renderWindow() {
+    if (!this.chart) return
+    
+    const series = windowSeries('crypto_prices', this.timeRange)
+    const latest = latestSnapshot('crypto_prices') || []
+    const labels = latest.map(d => d.name)
+    
+    // 1D is what the monitor reports natively; other ranges come from history
+    const changes = this.timeRange === '1D' ? {} : windowedChanges(series)
+    const useReported = this.timeRange === '1D' || Object.keys(changes).length === 0
+    
+    const [prices, percent] = this.chart.data.datasets
+    this.chart.data.labels = labels
+    prices.data = latest.map(d => d.price)
+    percent.data = latest.map(d => useReported ? d.change_percent : (changes[d.name] ?? null))
+    percent.label = useReported ? '24h Change %' : `Change % (${windowLabel(series, this.timeRange)})`
+    
+    const highlighted = labels.map(label => label === this.highlightedAsset)
+    prices.pointRadius = highlighted.map(h => h ? 7 : 3)
+    percent.pointRadius = highlighted.map(h => h ? 7 : 3)
+    prices.pointBackgroundColor = emphasize(labels, labels.map(() => 'rgb(59, 130, 246)'), this.highlightedAsset)
+    percent.pointBackgroundColor = emphasize(labels, labels.map(() => 'rgb(16, 185, 129)'), this.highlightedAsset)
+    
+    this.chart.update('none')
   },
   
   destroyed() {
@@ -536,21 +587,20 @@ Hooks.CryptoChart = {
 Hooks.StocksChart = {
   mounted() {
     const ctx = this.el.querySelector('#stocks-canvas')
-    const data = JSON.parse(this.el.dataset.stocks)
+    recordSnapshot('stock_indices', JSON.parse(this.el.dataset.stocks))
+    
+    this.timeRange = this.el.dataset.timeRange || '1D'
+    this.highlightedAsset = this.el.dataset.selectedAsset
     
     this.chart = new Chart(ctx, {
       type: 'bar',
       data: {
-        labels: data.map(d => d.name),
+        labels: [],
         datasets: [{
           label: 'Price',
-          data: data.map(d => d.price),
-          backgroundColor: data.map(d => 
-            d.change >= 0 ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)'
-          ),
-          borderColor: data.map(d => 
-            d.change >= 0 ? 'rgb(16, 185, 129)' : 'rgb(239, 68, 68)'
-          ),
+          data: [],
+          backgroundColor: [],
+          borderColor: [],
           borderWidth: 1
         }]
       },
@@ -569,15 +619,48 @@ Hooks.StocksChart = {
         }
       }
     })
+    
+    this.renderWindow()
+    
+    this.handleEvent("update-charts", ({data, timestamp}) => {
+      if (data && recordSnapshot('stock_indices', data.stock_indices, timestamp)) {
+        this.renderWindow()
+      }
+    })
+    
+    this.handleEvent("update-time-range", ({range}) => {
+      this.timeRange = range
+      this.renderWindow()
+    })
+    
+    this.handleEvent("highlight-asset", ({asset}) => {
+      this.highlightedAsset = asset
+      this.renderWindow()
+    })
   },
   
-  updated() {
-    if (this.chart) {
-      const data = JSON.parse(this.el.dataset.stocks)
-      this.chart.data.labels = data.map(d => d.name)
-      this.chart.data.datasets[0].data = data.map(d => d.price)
-      this.chart.update('none')
-    }
+  renderWindow() {
+    if (!this.chart) return
+    
+    const latest = latestSnapshot('stock_indices') || []
+    const labels = latest.map(d => d.name)
+    
+    // Color bars by the change over the selected window where history allows
+    const changes = this.timeRange === '1D' ? {} : windowedChanges(windowSeries('stock_indices', this.timeRange))
+    const change = d => changes[d.name] ?? d.change
+    
+    const [prices] = this.chart.data.datasets
+    this.chart.data.labels = labels
+    prices.data = latest.map(d => d.price)
+    prices.backgroundColor = emphasize(labels, latest.map(d => 
+      change(d) >= 0 ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)'
+    ), this.highlightedAsset, 0.15)
+    prices.borderColor = emphasize(labels, latest.map(d => 
+      change(d) >= 0 ? 'rgb(16, 185, 129)' : 'rgb(239, 68, 68)'
+    ), this.highlightedAsset, 0.3)
+    prices.borderWidth = labels.map(label => label === this.highlightedAsset ? 3 : 1)
+    
+    this.chart.update('none')
   },
   
   destroyed() {
@@ -585,24 +668,29 @@ Hooks.StocksChart = {
   }
 }
 
+const VOLUME_COLORS = [
+  'rgba(59, 130, 246, 0.8)',
+  'rgba(16, 185, 129, 0.8)',
+  'rgba(245, 158, 11, 0.8)',
+  'rgba(239, 68, 68, 0.8)',
+  'rgba(139, 92, 246, 0.8)'
+]
+
 Hooks.VolumeChart = {
   mounted() {
     const ctx = this.el.querySelector('#volume-canvas')
-    const volumeData = JSON.parse(this.el.dataset.volume)
+    recordSnapshot('volume_data', JSON.parse(this.el.dataset.volume))
+    
+    this.timeRange = this.el.dataset.timeRange || '1D'
+    this.highlightedAsset = this.el.dataset.selectedAsset
     
     this.chart = new Chart(ctx, {
       type: 'doughnut',
       data: {
-        labels: volumeData.labels || [],
+        labels: [],
         datasets: [{
-          data: volumeData.data || [],
-          backgroundColor: [
-            'rgba(59, 130, 246, 0.8)',
-            'rgba(16, 185, 129, 0.8)',
-            'rgba(245, 158, 11, 0.8)',
-            'rgba(239, 68, 68, 0.8)',
-            'rgba(139, 92, 246, 0.8)'
-          ]
+          data: [],
+          backgroundColor: VOLUME_COLORS
         }]
       },
       options: {
@@ -619,15 +707,43 @@ Hooks.VolumeChart = {
         }
       }
     })
+    
+    this.renderWindow()
+    
+    this.handleEvent("update-charts", ({data, timestamp}) => {
+      if (data && recordSnapshot('volume_data', data.volume_data, timestamp)) {
+        this.renderWindow()
+      }
+    })
+    
+    this.handleEvent("update-time-range", ({range}) => {
+      this.timeRange = range
+      this.renderWindow()
+    })
+    
+    this.handleEvent("highlight-asset", ({asset}) => {
+      this.highlightedAsset = asset
+      this.renderWindow()
+    })
   },
   
-  updated() {
-    if (this.chart) {
-      const volumeData = JSON.parse(this.el.dataset.volume)
-      this.chart.data.labels = volumeData.labels || []
-      this.chart.data.datasets[0].data = volumeData.data || []
-      this.chart.update('none')
-    }
+  renderWindow() {
+    if (!this.chart) return
+    
+    // Average each asset's reported volume over the window
+    const averages = windowedAverages(windowSeries('volume_data', this.timeRange))
+    
+    const latest = latestSnapshot('volume_data') || {}
+    const labels = latest.labels || []
+    const colors = labels.map((_, index) => VOLUME_COLORS[index % VOLUME_COLORS.length])
+    
+    const [volumes] = this.chart.data.datasets
+    this.chart.data.labels = labels
+    volumes.data = labels.map(label => averages[label] ?? 0)
+    volumes.backgroundColor = emphasize(labels, colors, this.highlightedAsset)
+    volumes.offset = labels.map(label => label === this.highlightedAsset ? 12 : 0)
+    
+    this.chart.update('none')
   },
   
   destroyed() {
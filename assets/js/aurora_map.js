@@ -0,0 +1,281 @@
+import * as d3 from 'd3'
+import { EffectScheduler } from './effects_scheduler'
+import { loadLayerFeatures } from './earthquake_layers'
+import { parseKpSeries } from './kp_intensity_bar'
+import { auroraVisibility, viewLineCoordinates } from './aurora_oval'
+
+// "Can I see the aurora from here?" map
+//
+// Draws the view line for the current Kp (data-kp-index) and, dashed, for the
+// highest forecast Kp over the next FORECAST_HOURS (data-kp-forecast) in both
+// hemispheres, marks the chosen location and says whether it is inside the
+// visibility zone. The location comes from the Geolocation API or a city
+// picked in the controls named by data-location-controls, and is remembered
+// per browser in localStorage.
+
+const STORAGE_KEY = 'globalPulse.auroraLocation'
+const FORECAST_HOURS = 24
+const CURRENT_COLOR = '#4ade80'
+const FORECAST_COLOR = '#c084fc'
+
+const VERDICT_COLORS = {
+  overhead: '#4ade80',
+  horizon: '#facc15',
+  unlikely: '#9ca3af'
+}
+
+export const AURORA_CITIES = [
+  { name: 'Fairbanks', lat: 64.84, lon: -147.72 },
+  { name: 'Anchorage', lat: 61.22, lon: -149.9 },
+  { name: 'Yellowknife', lat: 62.45, lon: -114.37 },
+  { name: 'Reykjavík', lat: 64.15, lon: -21.94 },
+  { name: 'Tromsø', lat: 69.65, lon: 18.96 },
+  { name: 'Oslo', lat: 59.91, lon: 10.75 },
+  { name: 'Helsinki', lat: 60.17, lon: 24.94 },
+  { name: 'Edinburgh', lat: 55.95, lon: -3.19 },
+  { name: 'London', lat: 51.51, lon: -0.13 },
+  { name: 'Berlin', lat: 52.52, lon: 13.4 },
+  { name: 'Seattle', lat: 47.61, lon: -122.33 },
+  { name: 'Minneapolis', lat: 44.98, lon: -93.27 },
+  { name: 'Toronto', lat: 43.65, lon: -79.38 },
+  { name: 'Chicago', lat: 41.88, lon: -87.63 },
+  { name: 'New York', lat: 40.71, lon: -74.01 },
+  { name: 'Hobart', lat: -42.88, lon: 147.33 },
+  { name: 'Dunedin', lat: -45.87, lon: 170.5 }
+]
+
+function loadLocation() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+    return stored && Number.isFinite(stored.lat) && Number.isFinite(stored.lon) ? stored : null
+  } catch (error) {
+    console.warn('Could not read aurora location:', error)
+    return null
+  }
+}
+
+function saveLocation(location) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(location))
+  } catch (error) {
+    console.warn('Could not save aurora location:', error)
+  }
+}
+
+// Highest predicted Kp from now until FORECAST_HOURS ahead
+function forecastPeak(forecast, now = Date.now()) {
+  const end = now + FORECAST_HOURS * 60 * 60 * 1000
+  return d3.max(forecast.filter(d => d.time.getTime() + 3 * 60 * 60 * 1000 > now && d.time.getTime() < end), d => d.kp)
+}
+
+function verdictText(location, visibility) {
+  const horizon = location.lat >= 0 ? 'northern' : 'southern'
+
+  if (visibility.level === 'overhead') {
+    return `Yes: ${location.name} is inside the visibility zone. With dark, clear skies the aurora may be overhead.`
+  }
+  if (visibility.level === 'horizon') {
+    return `Possibly: ${location.name} is inside the visibility zone, near its edge. Look low toward the ${horizon} horizon.`
+  }
+  const short = visibility.viewLine - visibility.magneticLatitude
+  return `No: ${location.name} is ${short.toFixed(1)}° of magnetic latitude outside the visibility zone.`
+}
+
+export const AuroraMap = {
+  mounted() {
+    this.effects = new EffectScheduler()
+    this.location = loadLocation()
+    this.initializeMap()
+    this.setupControls()
+    this.loadLand()
+    this.update()
+  },
+
+  updated() {
+    this.update()
+  },
+
+  destroyed() {
+    this.effects.destroy()
+  },
+
+  initializeMap() {
+    this.width = this.el.clientWidth || 480
+    this.height = this.el.clientHeight || 260
+
+    const sphere = { type: 'Sphere' }
+    this.projection = d3.geoNaturalEarth1().fitSize([this.width, this.height], sphere)
+    this.path = d3.geoPath(this.projection)
+
+    this.svg = d3.select(this.el)
+      .append('svg')
+      .attr('viewBox', `0 0 ${this.width} ${this.height}`)
+      .attr('width', '100%')
+      .attr('height', '100%')
+      .style('display', 'block')
+
+    this.svg.append('path')
+      .datum(sphere)
+      .attr('d', this.path)
+      .attr('fill', '#0b1d33')
+
+    this.svg.append('path')
+      .datum(d3.geoGraticule10())
+      .attr('d', this.path)
+      .attr('fill', 'none')
+      .attr('stroke', 'rgba(255, 255, 255, 0.12)')
+      .attr('stroke-width', 0.5)
+
+    this.land = this.svg.append('g').attr('class', 'aurora-map-land')
+    this.viewLines = this.svg.append('g').attr('class', 'aurora-view-lines')
+    this.marker = this.svg.append('g').attr('class', 'aurora-location').attr('display', 'none')
+    this.marker.append('circle')
+      .attr('r', 4)
+      .attr('stroke', '#111827')
+      .attr('stroke-width', 1.5)
+    this.marker.append('title')
+
+    // Legend
+    const legend = this.svg.append('text')
+      .attr('x', 8)
+      .attr('y', this.height - 8)
+      .attr('font-size', '10px')
+    this.currentLegend = legend.append('tspan').attr('fill', CURRENT_COLOR)
+    this.forecastLegend = legend.append('tspan').attr('fill', FORECAST_COLOR).attr('dx', 10)
+  },
+
+  loadLand() {
+    loadLayerFeatures('countries')
+      .then(features => {
+        if (this.effects.destroyed) return
+        this.land.selectAll('path')
+          .data(features)
+          .join('path')
+          .attr('d', this.path)
+          .attr('fill', '#1f2937')
+          .attr('stroke', '#374151')
+          .attr('stroke-width', 0.5)
+      })
+      .catch(error => console.warn('Aurora map drawn without country outlines:', error))
+  },
+
+  setupControls() {
+    this.controls = document.getElementById(this.el.dataset.locationControls)
+    const controls = this.controls
+    if (!controls) return
+
+    const select = controls.querySelector('[data-aurora-city]')
+    if (select) {
+      AURORA_CITIES.forEach(city => {
+        const option = document.createElement('option')
+        option.value = city.name
+        option.textContent = city.name
+        select.appendChild(option)
+      })
+      if (this.location) select.value = this.location.name
+
+      this.effects.listen(select, 'change', () => {
+        const city = AURORA_CITIES.find(candidate => candidate.name === select.value)
+        if (city) this.setLocation(city)
+      })
+    }
+
+    const locate = controls.querySelector('[data-aurora-locate]')
+    if (locate) {
+      this.effects.listen(locate, 'click', () => this.locate())
+    }
+  },
+
+  locate() {
+    if (!('geolocation' in navigator)) {
+      this.setStatus('Location is not available in this browser')
+      return
+    }
+
+    this.setStatus('Locating…')
+    navigator.geolocation.getCurrentPosition(
+      position => {
+        if (this.effects.destroyed) return
+        this.setStatus('')
+        this.setLocation({
+          name: 'Your location',
+          // Two decimals (~1 km) is plenty, and is all that gets stored
+          lat: Math.round(position.coords.latitude * 100) / 100,
+          lon: Math.round(position.coords.longitude * 100) / 100
+        })
+      },
+      error => {
+        if (this.effects.destroyed) return
+        this.setStatus(error.code === error.PERMISSION_DENIED ? 'Location permission was denied' : 'Could not get your location')
+      },
+      { timeout: 10000, maximumAge: 30 * 60 * 1000 }
+    )
+  },
+
+  setLocation(location) {
+    this.location = location
+    saveLocation(location)
+
+    const select = this.controls && this.controls.querySelector('[data-aurora-city]')
+    if (select) select.value = AURORA_CITIES.some(city => city.name === location.name) ? location.name : ''
+
+    this.update()
+  },
+
+  setStatus(text) {
+    const status = this.controls && this.controls.querySelector('[data-aurora-status]')
+    if (status) status.textContent = text
+  },
+
+  update() {
+    const kp = parseFloat(this.el.dataset.kpIndex) || 0
+    const forecastKp = forecastPeak(parseKpSeries(this.el.dataset.kpForecast))
+
+    const lines = [{ kp, color: CURRENT_COLOR, dashed: false }]
+    if (forecastKp !== undefined) lines.push({ kp: forecastKp, color: FORECAST_COLOR, dashed: true })
+
+    const hemispheres = [1, -1]
+    this.viewLines.selectAll('path')
+      .data(lines.flatMap(line => hemispheres.map(hemisphere => ({ ...line, hemisphere }))))
+      .join('path')
+      .attr('d', d => this.path({ type: 'LineString', coordinates: viewLineCoordinates(d.kp, d.hemisphere) }))
+      .attr('fill', 'none')
+      .attr('stroke', d => d.color)
+      .attr('stroke-width', 1.5)
+      .attr('stroke-dasharray', d => (d.dashed ? '5,4' : null))
+
+    this.currentLegend.text(`— view line now (Kp ${kp.toFixed(1)})`)
+    this.forecastLegend.text(forecastKp === undefined ? '' : `- - next ${FORECAST_HOURS}h (Kp ${forecastKp.toFixed(1)})`)
+
+    this.renderVerdict(kp, forecastKp)
+  },
+
+  renderVerdict(kp, forecastKp) {
+    const verdict = this.controls && this.controls.querySelector('[data-aurora-verdict]')
+    const location = this.location
+
+    if (!location) {
+      this.marker.attr('display', 'none')
+      if (verdict) verdict.textContent = 'Choose a city or use your location to check visibility.'
+      return
+    }
+
+    const now = auroraVisibility(location.lat, location.lon, kp)
+    const [x, y] = this.projection([location.lon, location.lat])
+    this.marker
+      .attr('display', null)
+      .attr('transform', `translate(${x}, ${y})`)
+    this.marker.select('circle').attr('fill', VERDICT_COLORS[now.level])
+    this.marker.select('title').text(`${location.name}: ${now.magneticLatitude.toFixed(1)}° magnetic latitude`)
+
+    if (!verdict) return
+
+    let text = `Now (Kp ${kp.toFixed(1)}): ${verdictText(location, now)}`
+    if (forecastKp !== undefined) {
+      const later = auroraVisibility(location.lat, location.lon, forecastKp)
+      text += ` Next ${FORECAST_HOURS}h (up to Kp ${forecastKp.toFixed(1)}): ${verdictText(location, later)}`
+    }
+    verdict.textContent = text
+    verdict.style.color = VERDICT_COLORS[now.level]
+  }
+}
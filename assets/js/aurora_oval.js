@@ -0,0 +1,122 @@
+// Auroral oval boundaries from Kp, in geomagnetic coordinates
+//
+// The equatorward boundary at magnetic midnight follows the usual linear Kp
+// fit, about 66° when quiet down to about 48° at Kp 9 (cf. Feldstein–Starkov).
+// The oval is pushed antisunward, so at magnetic noon the boundary sits
+// DAYSIDE_SHIFT degrees further poleward, and it is widest around midnight.
+// Magnetic local time is given as the angle from the midnight meridian, in
+// radians (0 at midnight, π at noon).
+//
+// The view line, the furthest from the oval that aurora can still be seen low
+// on the horizon, sits equatorward of the midnight boundary, further so in
+// storms when the aurora is brighter and reaches higher. The offset is fitted
+// so the line passes near the places NOAA's G-scale names (northern Michigan
+// at Kp 5, Illinois and Oregon at Kp 7, northern California at Kp 9).
+// Geomagnetic coordinates use a centered dipole.
+
+export const DAYSIDE_SHIFT = 8
+
+// Geomagnetic north pole (IGRF-13, epoch 2025)
+export const GEOMAGNETIC_NORTH_POLE = { lat: 80.8, lon: -72.7 }
+
+function clampKp(kp) {
+  const value = Number(kp)
+  return Number.isFinite(value) ? Math.min(9, Math.max(0, value)) : 0
+}
+
+// Boundaries at midnight and noon, for interpolating around the oval
+export function ovalParameters(kp) {
+  const k = clampKp(kp)
+  const midnightWidth = 4 + 0.6 * k
+
+  return {
+    midnightLatitude: 66 - 2 * k,
+    daysideShift: DAYSIDE_SHIFT,
+    midnightWidth,
+    noonWidth: midnightWidth * 0.6
+  }
+}
+
+// 1 at midnight, 0 at noon
+function nightside(angle) {
+  return (1 + Math.cos(angle)) / 2
+}
+
+export function equatorwardBoundary(kp, angle = 0) {
+  const { midnightLatitude, daysideShift } = ovalParameters(kp)
+  return midnightLatitude + daysideShift * (1 - nightside(angle))
+}
+
+export function polewardBoundary(kp, angle = 0) {
+  const { midnightWidth, noonWidth } = ovalParameters(kp)
+  const width = noonWidth + (midnightWidth - noonWidth) * nightside(angle)
+  return equatorwardBoundary(kp, angle) + width
+}
+
+export function viewLineLatitude(kp) {
+  return equatorwardBoundary(kp, 0) - (1.5 + Math.max(0, clampKp(kp) - 5))
+}
+
+const RADIANS = Math.PI / 180
+const POLE_COLATITUDE = (90 - GEOMAGNETIC_NORTH_POLE.lat) * RADIANS
+
+// Rotates the pole's meridian to longitude 0, then tips the pole onto the axis
+export function geographicToGeomagnetic(lat, lon) {
+  const phi = lat * RADIANS
+  const lambda = (lon - GEOMAGNETIC_NORTH_POLE.lon) * RADIANS
+  const x = Math.cos(phi) * Math.cos(lambda)
+  const y = Math.cos(phi) * Math.sin(lambda)
+  const z = Math.sin(phi)
+
+  const xm = x * Math.cos(POLE_COLATITUDE) - z * Math.sin(POLE_COLATITUDE)
+  const zm = x * Math.sin(POLE_COLATITUDE) + z * Math.cos(POLE_COLATITUDE)
+
+  return {
+    lat: Math.asin(Math.max(-1, Math.min(1, zm))) / RADIANS,
+    lon: Math.atan2(y, xm) / RADIANS
+  }
+}
+
+export function geomagneticToGeographic(lat, lon) {
+  const phi = lat * RADIANS
+  const lambda = lon * RADIANS
+  const xm = Math.cos(phi) * Math.cos(lambda)
+  const y = Math.cos(phi) * Math.sin(lambda)
+  const zm = Math.sin(phi)
+
+  const x = xm * Math.cos(POLE_COLATITUDE) + zm * Math.sin(POLE_COLATITUDE)
+  const z = -xm * Math.sin(POLE_COLATITUDE) + zm * Math.cos(POLE_COLATITUDE)
+  const geographicLon = Math.atan2(y, x) / RADIANS + GEOMAGNETIC_NORTH_POLE.lon
+
+  return {
+    lat: Math.asin(Math.max(-1, Math.min(1, z))) / RADIANS,
+    lon: ((geographicLon + 540) % 360) - 180
+  }
+}
+
+// Closed [lon, lat] ring of the view line in one hemisphere (1 north, -1 south)
+export function viewLineCoordinates(kp, hemisphere = 1, steps = 180) {
+  const magneticLatitude = hemisphere * viewLineLatitude(kp)
+  const coordinates = []
+  for (let i = 0; i <= steps; i++) {
+    const { lat, lon } = geomagneticToGeographic(magneticLatitude, (i / steps) * 360 - 180)
+    coordinates.push([lon, lat])
+  }
+  return coordinates
+}
+
+// Whether aurora could be seen from a place at the given Kp, judged at
+// magnetic midnight: 'overhead' inside the oval or poleward of it, 'horizon'
+// between the oval and the view line, otherwise 'unlikely'
+export function auroraVisibility(lat, lon, kp) {
+  const magneticLatitude = Math.abs(geographicToGeomagnetic(lat, lon).lat)
+  const boundary = equatorwardBoundary(kp, 0)
+  const viewLine = viewLineLatitude(kp)
+
+  return {
+    magneticLatitude,
+    boundary,
+    viewLine,
+    level: magneticLatitude >= boundary ? 'overhead' : magneticLatitude >= viewLine ? 'horizon' : 'unlikely'
+  }
+}
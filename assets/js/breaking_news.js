@@ -0,0 +1,100 @@
+// Breaking/urgent classification for the political news feed
+//
+// Tags come only from article metadata rendered into the DOM
+// (data-published-at, data-priority, data-source, data-sentiment) and a
+// configurable rule set; nothing is assigned at random. Rule keys match the
+// :breaking_news_rules config map PoliticalLive renders into data-breaking-rules.
+
+export const DEFAULT_BREAKING_RULES = {
+  breaking_max_age_minutes: 60,  // tags expire once an article is older than this
+  urgent_max_age_minutes: 15,    // "urgent" additionally requires this recency
+  min_sources: 2,                // distinct outlets carrying the same story
+  similarity: 0.5,               // headline word overlap to count as the same story
+  sentiment_shift: 0.4,          // |article sentiment - feed baseline|
+  min_signals: 1,                // signals needed for "breaking"
+  urgent_signals: 2              // signals needed for "urgent"
+};
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'to', 'in', 'on', 'for', 'and', 'or', 'with', 'at', 'by', 'as', 'is', 'after']);
+
+function headlineWords(title) {
+  return new Set(
+    title.toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  );
+}
+
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+export function readArticle(el) {
+  const headline = el.querySelector('[data-headline]');
+  const publishedAt = Date.parse(el.dataset.publishedAt);
+
+  return {
+    el,
+    headline,
+    // Prefer the attribute: the typing effect rewrites the headline text
+    title: el.dataset.title || (headline ? headline.textContent.trim() : ''),
+    publishedAt: Number.isFinite(publishedAt) ? publishedAt : null,
+    priority: el.dataset.priority || null,
+    source: el.dataset.source || '',
+    sentiment: parseFloat(el.dataset.sentiment)
+  };
+}
+
+// Number of distinct sources whose headline matches each article's story
+export function countSources(articles, rules) {
+  const words = articles.map(article => headlineWords(article.title));
+
+  return articles.map((article, i) => {
+    const sources = new Set([article.source]);
+    articles.forEach((other, j) => {
+      if (i !== j && overlap(words[i], words[j]) >= rules.similarity) {
+        sources.add(other.source);
+      }
+    });
+    return sources.size;
+  });
+}
+
+// Returns "urgent", "breaking" or null for one article
+export function classifyArticle(article, { sourceCount, baseline, now }, rules) {
+  if (article.publishedAt === null) return null;
+
+  const ageMinutes = (now - article.publishedAt) / 60000;
+  if (ageMinutes < 0 || ageMinutes > rules.breaking_max_age_minutes) return null;
+
+  // Server-provided priority wins, but still expires by age
+  if (article.priority === 'urgent' || article.priority === 'breaking') {
+    return article.priority === 'urgent' && ageMinutes > rules.urgent_max_age_minutes
+      ? 'breaking'
+      : article.priority;
+  }
+
+  let signals = 0;
+  if (sourceCount >= rules.min_sources) signals++;
+  if (Number.isFinite(article.sentiment) && Math.abs(article.sentiment - baseline) >= rules.sentiment_shift) signals++;
+
+  if (signals >= rules.urgent_signals && ageMinutes <= rules.urgent_max_age_minutes) return 'urgent';
+  if (signals >= rules.min_signals) return 'breaking';
+  return null;
+}
+
+export function classifyFeed(elements, { baseline = 0, rules = {}, now = Date.now() } = {}) {
+  const config = { ...DEFAULT_BREAKING_RULES, ...rules };
+  const articles = Array.from(elements).map(readArticle);
+  const sourceCounts = countSources(articles, config);
+
+  return articles.map((article, index) => ({
+    article,
+    tag: classifyArticle(article, { sourceCount: sourceCounts[index], baseline, now }, config)
+  }));
+}
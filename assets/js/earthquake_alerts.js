@@ -0,0 +1,163 @@
+// Desktop and audible alerts for significant new earthquakes
+//
+// Each data-earthquakes update is diffed against the quakes already seen, by
+// id. New events at or above the threshold are announced with a browser
+// Notification and, optionally, a short tone. At most one alert goes out per
+// THROTTLE_MS (a burst becomes one summary notification), and nothing is
+// announced during quiet hours. Settings are kept per browser in localStorage.
+
+const STORAGE_KEY = 'globalPulse.quakeAlerts'
+
+export const THROTTLE_MS = 60 * 1000
+
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: false,
+  minMagnitude: 6,
+  sound: true,
+  // Local "HH:MM" times; empty means no quiet hours
+  quietStart: '',
+  quietEnd: ''
+}
+
+export function loadAlertSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    return { ...DEFAULT_ALERT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) }
+  } catch (error) {
+    console.warn('Could not read earthquake alert settings:', error)
+    return { ...DEFAULT_ALERT_SETTINGS }
+  }
+}
+
+export function saveAlertSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.warn('Could not save earthquake alert settings:', error)
+  }
+}
+
+function minutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '')
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null
+}
+
+// Quiet hours may wrap past midnight, e.g. 22:00–07:00
+export function inQuietHours(settings, date = new Date()) {
+  const start = minutes(settings.quietStart)
+  const end = minutes(settings.quietEnd)
+  if (start === null || end === null || start === end) return false
+
+  const now = date.getHours() * 60 + date.getMinutes()
+  return start < end ? now >= start && now < end : now >= start || now < end
+}
+
+export class QuakeAlerts {
+  constructor(settings = DEFAULT_ALERT_SETTINGS) {
+    this.settings = settings
+    this.knownIds = null
+    this.pending = []
+    this.lastAlertAt = -Infinity
+  }
+
+  // Queues newly arrived quakes above the threshold. The first non-empty set
+  // is only a baseline, and ids stay known while alerts are off, so enabling
+  // alerts or reloading never announces the backlog
+  receive(quakes) {
+    if (this.knownIds === null) {
+      if (quakes.length === 0) return
+      this.knownIds = new Set(quakes.map(quake => quake.id))
+      return
+    }
+
+    const fresh = quakes.filter(quake => quake.id && !this.knownIds.has(quake.id))
+    fresh.forEach(quake => this.knownIds.add(quake.id))
+
+    if (this.settings.enabled) {
+      this.pending.push(...fresh.filter(quake => quake.magnitude >= this.settings.minMagnitude))
+    }
+  }
+
+  // Milliseconds until pending quakes may be announced
+  wait(now = Date.now()) {
+    return Math.max(0, this.lastAlertAt + THROTTLE_MS - now)
+  }
+
+  // Pending quakes to announce now, strongest first; [] while throttled.
+  // Anything that comes due during quiet hours is dropped, not saved for later
+  due(now = Date.now()) {
+    if (this.pending.length === 0 || this.wait(now) > 0) return []
+
+    const quakes = this.pending.sort((a, b) => b.magnitude - a.magnitude)
+    this.pending = []
+    if (!this.settings.enabled || inQuietHours(this.settings, new Date(now))) return []
+
+    this.lastAlertAt = now
+    return quakes
+  }
+}
+
+export function notificationsSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window
+}
+
+// Older Safari only takes a callback and returns undefined; newer browsers
+// return a promise and may ignore the callback, so handle both and call once
+export function requestNotificationPermission(onSettled) {
+  let settled = false
+  const settle = () => {
+    if (settled) return
+    settled = true
+    onSettled(Notification.permission)
+  }
+
+  const request = Notification.requestPermission(settle)
+  if (request && typeof request.then === 'function') request.then(settle, settle)
+}
+
+// One notification per alert; a burst is summarised under its strongest quake
+export function showQuakeNotification(quakes, { onClick } = {}) {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return
+
+  const [strongest] = quakes
+  const title = quakes.length === 1
+    ? `M${strongest.magnitude.toFixed(1)} earthquake`
+    : `${quakes.length} significant earthquakes (strongest M${strongest.magnitude.toFixed(1)})`
+  const depth = strongest.depth != null && Number.isFinite(Number(strongest.depth))
+    ? ` · ${Number(strongest.depth).toFixed(0)} km deep`
+    : ''
+
+  const notification = new Notification(title, {
+    body: `${strongest.location || 'Unknown location'}${depth}`,
+    tag: 'global-pulse-earthquake',
+    renotify: true
+  })
+
+  notification.onclick = () => {
+    window.focus()
+    notification.close()
+    if (onClick) onClick(strongest)
+  }
+}
+
+// Two short sine beeps, generated so no audio asset is needed. Browsers only
+// allow audio after a user gesture, so the context is created from the
+// settings controls and reused here
+export function playAlertTone(audioContext) {
+  if (!audioContext) return
+
+  const start = audioContext.currentTime
+  const offsets = [0, 0.25]
+  offsets.forEach(offset => {
+    const oscillator = audioContext.createOscillator()
+    const gain = audioContext.createGain()
+    oscillator.type = 'sine'
+    oscillator.frequency.value = 880
+    gain.gain.setValueAtTime(0.0001, start + offset)
+    gain.gain.exponentialRampToValueAtTime(0.3, start + offset + 0.02)
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + offset + 0.2)
+    oscillator.connect(gain).connect(audioContext.destination)
+    oscillator.start(start + offset)
+    oscillator.stop(start + offset + 0.2)
+  })
+}
@@ -0,0 +1,69 @@
+// Depth scale for the earthquake globe's subsurface mode
+//
+// Colors follow the usual seismology banding: shallow crustal events warm,
+// deep subduction events cool. Hypocenters are placed below the globe surface
+// at DEPTH_EXAGGERATION times their true depth so shallow events still separate
+// visibly from the surface.
+
+import * as d3 from 'd3'
+
+export const MAX_DEPTH_KM = 700
+export const EARTH_RADIUS_KM = 6371
+export const DEPTH_EXAGGERATION = 2
+
+export const DEPTH_CLASSES = [
+  { label: 'Shallow', max: 70 },
+  { label: 'Intermediate', max: 300 },
+  { label: 'Deep', max: MAX_DEPTH_KM }
+]
+
+const colorScale = d3.scaleSequential([0, MAX_DEPTH_KM], d3.interpolateSpectral).clamp(true)
+
+function depthKm(depth) {
+  const value = Number(depth)
+  return Number.isFinite(value) ? Math.max(0, value) : 0
+}
+
+export function depthColor(depth) {
+  return colorScale(depthKm(depth))
+}
+
+// globe.gl altitude (in globe radii) for a hypocenter; negative is below ground
+export function depthAltitude(depth) {
+  return -(depthKm(depth) / EARTH_RADIUS_KM) * DEPTH_EXAGGERATION
+}
+
+export function depthGradient(steps = 12) {
+  const stops = d3.range(steps + 1).map(i => {
+    const fraction = i / steps
+    return `${colorScale(fraction * MAX_DEPTH_KM)} ${(fraction * 100).toFixed(1)}%`
+  })
+  return `linear-gradient(to right, ${stops.join(', ')})`
+}
+
+// Fills a legend container with the gradient bar, class boundaries and a
+// swatch per depth class
+export function renderDepthLegend(container) {
+  const ticks = [0, ...DEPTH_CLASSES.map(({ max }) => max)]
+    .map(km => `<span class="absolute -translate-x-1/2" style="left: ${(km / MAX_DEPTH_KM) * 100}%">${km}</span>`)
+    .join('')
+
+  let previous = 0
+  const classes = DEPTH_CLASSES.map(({ label, max }) => {
+    const row = `
+      <div class="flex items-center gap-2">
+        <span class="inline-block w-2 h-2 rounded-full" style="background: ${depthColor((previous + max) / 2)}"></span>
+        ${label} <span class="text-gray-500">${previous}–${max} km</span>
+      </div>
+    `
+    previous = max
+    return row
+  }).join('')
+
+  container.innerHTML = `
+    <div class="mb-1 font-medium text-gray-200">Hypocenter depth (km)</div>
+    <div class="h-2 rounded" style="background: ${depthGradient()}"></div>
+    <div class="relative h-4 mt-1 text-gray-400">${ticks}</div>
+    <div class="mt-1 space-y-0.5">${classes}</div>
+  `
+}
@@ -0,0 +1,79 @@
+// Client-side filters for the earthquake globe
+//
+// The active filter is kept in the URL hash (e.g. #mag=5&depth=0-70&window=24h)
+// so a filtered view can be shared; a hash without these keys means "show all".
+
+export const TIME_WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+}
+
+export const DEFAULT_FILTER = {
+  minMagnitude: 0,
+  minDepth: 0,
+  maxDepth: Infinity,
+  window: 'all'
+}
+
+function number(value, fallback) {
+  const parsed = parseFloat(value)
+  return Number.isFinite(parsed) ? parsed : fallback
+}
+
+export function parseFilter(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''))
+  const [minDepth, maxDepth] = (params.get('depth') || '').split('-')
+  const window = params.get('window')
+
+  return {
+    minMagnitude: Math.max(0, number(params.get('mag'), DEFAULT_FILTER.minMagnitude)),
+    minDepth: Math.max(0, number(minDepth, DEFAULT_FILTER.minDepth)),
+    maxDepth: number(maxDepth, DEFAULT_FILTER.maxDepth),
+    window: TIME_WINDOWS[window] ? window : DEFAULT_FILTER.window
+  }
+}
+
+// Updates only the filter keys, leaving any other hash parameters alone
+export function serializeFilter(filter, hash = '') {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  const hasDepth = filter.minDepth > 0 || Number.isFinite(filter.maxDepth)
+
+  const entries = {
+    mag: filter.minMagnitude > 0 ? String(filter.minMagnitude) : null,
+    depth: hasDepth ? `${filter.minDepth}-${Number.isFinite(filter.maxDepth) ? filter.maxDepth : ''}` : null,
+    window: filter.window !== 'all' ? filter.window : null
+  }
+
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value === null) {
+      params.delete(key)
+    } else {
+      params.set(key, value)
+    }
+  })
+
+  const serialized = params.toString()
+  return serialized ? `#${serialized}` : ''
+}
+
+// Quakes without a depth or time only pass filters that don't need them
+export function filterEarthquakes(quakes, filter, now = Date.now()) {
+  const span = TIME_WINDOWS[filter.window]
+  const depthFiltered = filter.minDepth > 0 || Number.isFinite(filter.maxDepth)
+
+  return quakes.filter(quake => {
+    if (quake.magnitude < filter.minMagnitude) return false
+
+    if (depthFiltered) {
+      const depth = quake.depth == null ? NaN : Number(quake.depth)
+      if (!Number.isFinite(depth) || depth < filter.minDepth || depth > filter.maxDepth) return false
+    }
+
+    if (span) {
+      if (!Number.isFinite(quake.timestamp) || now - quake.timestamp > span) return false
+    }
+
+    return true
+  })
+}
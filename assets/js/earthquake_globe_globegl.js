@@ -1,13 +1,53 @@
 import Globe from 'globe.gl'
+import * as THREE from 'three'
+import { EffectScheduler } from './effects_scheduler'
+import { Timelapse } from './earthquake_timelapse'
+import { TIME_WINDOWS, filterEarthquakes, parseFilter, serializeFilter } from './earthquake_filters'
+import { FlatEarthquakeMap, webglAvailable } from './earthquake_map_2d'
+import { LiteEarthquakeGlobe } from './earthquake_globe_lite'
+import {
+  LAYER_SOURCES,
+  PLATE_COLOR,
+  TSUNAMI_COLOR,
+  boundaryPaths,
+  countByCountry,
+  countryColor,
+  countryName,
+  loadLayerFeatures
+} from './earthquake_layers'
+import { depthAltitude, depthColor, renderDepthLegend } from './earthquake_depth'
+import {
+  QuakeAlerts,
+  loadAlertSettings,
+  notificationsSupported,
+  playAlertTone,
+  requestNotificationPermission,
+  saveAlertSettings,
+  showQuakeNotification
+} from './earthquake_alerts'
+
+// Served from priv/static so the globe works without internet access;
+// override per deployment with the :globe_texture_base_url config
+const DEFAULT_TEXTURE_BASE_URL = '/images/globe'
+
+// How often quakes are checked for having aged out of the time window filter
+const FILTER_EXPIRY_INTERVAL = 60 * 1000
 
 export const EarthquakeGlobe = {
   mounted() {
     console.log('EarthquakeGlobe mounted, starting initialization...')
     console.log('Globe import:', Globe)
+    this.effects = new EffectScheduler()
+    this.filter = parseFilter(window.location.hash)
     
     try {
-      this.initializeGlobe()
+      this.initializeRenderer()
+      this.setupLayers()
+      this.setupAlerts()
       this.updateEarthquakes()
+      this.setupTimelapse()
+      this.setupFilters()
+      this.syncSelection()
       
       // Hide loading message once initialized
       const loadingDiv = this.el.querySelector('.absolute.inset-0')
@@ -34,13 +74,74 @@ export const EarthquakeGlobe = {
 
   updated() {
     this.updateEarthquakes()
+    this.syncSelection()
   },
 
   destroyed() {
+    this.effects.destroy()
+
     if (this.globe) {
       // Clean up Globe.GL instance
       this.globe._destructor && this.globe._destructor()
     }
+
+    if (this.view) {
+      this.view.destroy()
+    }
+  },
+
+  // data-renderer picks globe.gl ("globe", the default), the lightweight
+  // three.js globe ("lite") or the 2D map ("flat"). Without WebGL, or if a 3D
+  // renderer fails to start, fall back to the 2D map so the markers are still
+  // usable
+  initializeRenderer() {
+    const renderer = this.el.dataset.renderer || 'globe'
+    if (renderer === 'flat') {
+      this.initializeFlatMap()
+      return
+    }
+
+    try {
+      if (!webglAvailable()) {
+        throw new Error('WebGL is not available')
+      }
+
+      if (renderer === 'lite') {
+        this.initializeLiteGlobe()
+      } else {
+        this.initializeGlobe()
+      }
+    } catch (error) {
+      console.warn('Falling back to 2D earthquake map:', error)
+      this.globe = null
+      if (this.view) this.view.destroy()
+      this.initializeFlatMap()
+    }
+  },
+
+  // The lite globe and the 2D map share one interface (render, renderLayers,
+  // destroy) and are both kept in this.view
+  initializeLiteGlobe() {
+    this.view = new LiteEarthquakeGlobe(this.el, {
+      textureUrl: this.textureUrl('earth-blue-marble.jpg'),
+      bumpUrl: this.textureUrl('earth-topology.png'),
+      label: d => this.earthquakeLabel(d),
+      onSelect: point => this.selectEarthquake(point ? point.id : null, { push: true }),
+      effects: this.effects
+    })
+  },
+
+  initializeFlatMap() {
+    this.view = new FlatEarthquakeMap(this.el, {
+      textureUrl: this.textureUrl('earth-blue-marble.jpg'),
+      label: d => this.earthquakeLabel(d),
+      onSelect: point => this.selectEarthquake(point ? point.id : null, { push: true })
+    })
+  },
+
+  textureUrl(file) {
+    const baseUrl = (this.el.dataset.textureBaseUrl || DEFAULT_TEXTURE_BASE_URL).replace(/\/+$/, '')
+    return `${baseUrl}/${file}`
   },
 
   initializeGlobe() {
@@ -60,8 +161,8 @@ export const EarthquakeGlobe = {
     this.globe = Globe()
       .width(width)
       .height(height)
-      .globeImageUrl('//unpkg.com/three-globe/example/img/earth-blue-marble.jpg') // NASA Earth texture
-      .bumpImageUrl('//unpkg.com/three-globe/example/img/earth-topology.png')   // Earth topology
+      .globeImageUrl(this.textureUrl('earth-blue-marble.jpg')) // NASA Earth texture
+      .bumpImageUrl(this.textureUrl('earth-topology.png'))     // Earth topology
       .showGraticules(false) // Hide grid lines for cleaner look
       .showAtmosphere(true)
       .atmosphereColor('lightskyblue')
@@ -75,6 +176,12 @@ export const EarthquakeGlobe = {
     
     console.log('Globe mounted, setting up controls...')
     
+    // Selecting a quake focuses it and syncs the event list; clicking empty
+    // globe clears the selection
+    this.globe
+      .onPointClick(point => this.selectEarthquake(point.id, { push: true }))
+      .onGlobeClick(() => this.selectEarthquake(null, { push: true }))
+
     // Auto-rotate the globe (if controls are available)
     try {
       const controls = this.globe.controls()
@@ -110,30 +217,25 @@ export const EarthquakeGlobe = {
         console.log(`🌍 GLOBE: ${i+1}. M${eq.magnitude} ${eq.location}`)
       })
       
-      // Sort earthquakes to match the list order (top 5 get special treatment)
-      const sortedEarthquakes = [...displayEarthquakes].sort((a, b) => {
-        // Sort by magnitude desc, then by time desc
-        if (b.magnitude !== a.magnitude) return b.magnitude - a.magnitude
-        return new Date(b.time) - new Date(a.time)
-      })
-      
-      console.log('🌍 GLOBE: Top 5 earthquakes that will get special animation:')
-      sortedEarthquakes.slice(0, 5).forEach((eq, i) => {
-        console.log(`🌍 GLOBE: ${i+1}. ⭐ M${eq.magnitude} ${eq.location}`)
-      })
+      // The server renders which quakes the event list features, so the globe's
+      // top-5 treatment always matches the list
+      const featuredIds = JSON.parse(this.el.dataset.featuredIds || '[]')
       
       // Convert earthquake data for Globe.GL
-      const globeEarthquakes = displayEarthquakes.map((earthquake, index) => {
+      this.allEarthquakes = displayEarthquakes.map((earthquake, index) => {
         const magnitude = earthquake.magnitude || 4.5
-        const isTopFive = sortedEarthquakes.slice(0, 5).includes(earthquake)
+        const isTopFive = featuredIds.includes(earthquake.id)
         
         return {
+          id: earthquake.id,
           lat: earthquake.latitude,
           lng: earthquake.longitude,
           magnitude: magnitude,
           location: earthquake.location,
           depth: earthquake.depth,
           time: earthquake.time,
+          timestamp: Date.parse(earthquake.time),
+          tsunami: Boolean(earthquake.tsunami_warning),
           isTopFive: isTopFive,
           // Enhanced color for top 5
           color: isTopFive ? this.getEnhancedMagnitudeColor(magnitude) : this.getMagnitudeColor(magnitude),
@@ -141,61 +243,626 @@ export const EarthquakeGlobe = {
           size: Math.max(0.2, magnitude * (isTopFive ? 0.3 : 0.2))
         }
       })
-      
-      // Update points on globe with enhanced visualization
-      this.globe
-        .pointsData(globeEarthquakes)
-        .pointAltitude(0.02)
-        .pointColor(d => d.color)
-        .pointRadius(d => d.size)
-        .pointResolution(20)
-        .pointLabel(d => `
-          <div style="padding: 10px; background: rgba(0,0,0,0.9); border-radius: 8px; color: white; font-size: 14px; border: 2px solid ${d.color}; box-shadow: 0 4px 12px rgba(0,0,0,0.3);">
-            <div style="font-weight: bold; margin-bottom: 5px; color: ${d.color};">${d.location}${d.isTopFive ? ' ⭐' : ''}</div>
-            ${d.isTopFive ? '<div style="font-size: 12px; color: #ffab00; margin-bottom: 3px;">📊 Featured in Recent List</div>' : ''}
-            <div>🌍 Magnitude: <strong>${d.magnitude}</strong></div>
-            <div>📏 Depth: <strong>${d.depth}km</strong></div>
-            <div>⏰ Time: <strong>${d.time || 'Unknown'}</strong></div>
-          </div>
-        `)
-        
-      // Add rings - top 5 earthquakes get special pulsating rings, major ones get standard rings
-      const ringData = []
-      
-      // Top 5 earthquakes get pulsating rings regardless of magnitude
-      globeEarthquakes.filter(eq => eq.isTopFive).forEach(eq => {
-        ringData.push({
+
+      // Alerts look at every quake, not just the filtered view
+      this.announceEarthquakes()
+      this.applyFilter()
+    } catch (error) {
+      console.error('Error updating earthquake data:', error)
+    }
+  },
+
+  // Recompute the filtered set and redraw; the time-lapse plays the filtered set
+  applyFilter() {
+    this.globeEarthquakes = filterEarthquakes(this.allEarthquakes || [], this.filter)
+
+    if (this.timelapse) {
+      this.timelapse.setQuakes(this.globeEarthquakes)
+      this.syncTimelapseControls()
+    }
+
+    this.renderEarthquakes()
+    this.syncFilterCount()
+  },
+
+  setupFilters() {
+    // Quakes age out of the time window between server updates too
+    this.effects.interval(() => this.expireFilteredQuakes(), FILTER_EXPIRY_INTERVAL)
+
+    this.filterControls = document.getElementById(this.el.dataset.filterControls)
+    const controls = this.filterControls
+    if (!controls) return
+
+    this.syncFilterControls()
+
+    controls.querySelectorAll('input, select').forEach(input => {
+      this.effects.listen(input, 'input', () => this.readFilterControls())
+    })
+
+    // Shared links and back/forward navigation change the hash directly
+    this.effects.listen(window, 'hashchange', () => {
+      this.filter = parseFilter(window.location.hash)
+      this.syncFilterControls()
+      this.applyFilter()
+    })
+  },
+
+  expireFilteredQuakes() {
+    if (!TIME_WINDOWS[this.filter.window] || !this.globeEarthquakes) return
+
+    const visible = filterEarthquakes(this.globeEarthquakes, this.filter)
+    if (visible.length < this.globeEarthquakes.length) this.applyFilter()
+  },
+
+  readFilterControls() {
+    const controls = this.filterControls
+    const value = (selector) => {
+      const input = controls.querySelector(selector)
+      return input ? input.value : ''
+    }
+
+    const minMagnitude = parseFloat(value('[data-filter-magnitude]'))
+    const minDepth = parseFloat(value('[data-filter-min-depth]'))
+    const maxDepth = parseFloat(value('[data-filter-max-depth]'))
+
+    this.filter = {
+      minMagnitude: Number.isFinite(minMagnitude) ? Math.max(0, minMagnitude) : 0,
+      minDepth: Number.isFinite(minDepth) ? Math.max(0, minDepth) : 0,
+      maxDepth: Number.isFinite(maxDepth) ? maxDepth : Infinity,
+      window: value('[data-filter-window]') || 'all'
+    }
+
+    // replaceState doesn't fire hashchange, so this won't loop back
+    const { pathname, search, hash } = window.location
+    history.replaceState(history.state, '', pathname + search + serializeFilter(this.filter, hash))
+
+    this.applyFilter()
+  },
+
+  syncFilterControls() {
+    const controls = this.filterControls
+    if (!controls) return
+
+    const set = (selector, value) => {
+      const input = controls.querySelector(selector)
+      if (input) input.value = value
+    }
+
+    set('[data-filter-magnitude]', this.filter.minMagnitude > 0 ? this.filter.minMagnitude : '')
+    set('[data-filter-min-depth]', this.filter.minDepth > 0 ? this.filter.minDepth : '')
+    set('[data-filter-max-depth]', Number.isFinite(this.filter.maxDepth) ? this.filter.maxDepth : '')
+    set('[data-filter-window]', this.filter.window)
+  },
+
+  syncFilterCount() {
+    const count = this.filterControls && this.filterControls.querySelector('[data-filter-count]')
+    if (!count) return
+
+    const total = (this.allEarthquakes || []).length
+    const shown = this.globeEarthquakes.length
+    count.textContent = shown === total
+      ? `Showing all ${total} earthquakes`
+      : `Showing ${shown} of ${total} earthquakes`
+  },
+
+  // Draws either the full live picture or, during a time-lapse, only the
+  // quakes that have happened so far with rings on the newest ones
+  renderEarthquakes() {
+    const timelapse = this.timelapse && this.timelapse.active ? this.timelapse : null
+    const globeEarthquakes = timelapse ? timelapse.visible() : this.globeEarthquakes
+    const ringData = timelapse
+      ? timelapse.recent().map(eq => ({
           lat: eq.lat,
           lng: eq.lng,
-          maxR: Math.max(4, eq.magnitude * 2.5),
-          propagationSpeed: 1.5,
-          repeatPeriod: 1500, // Faster pulsing for top 5
+          maxR: Math.max(3, eq.magnitude * 2.5),
+          propagationSpeed: 3,
+          repeatPeriod: 700,
           color: eq.color
-        })
+        }))
+      : this.liveRings(this.globeEarthquakes)
+
+    this.displayedEarthquakes = globeEarthquakes
+    this.renderLayers(globeEarthquakes)
+
+    const selected = globeEarthquakes.find(eq => eq.id === this.selectedId)
+    if (selected) {
+      ringData.push({
+        lat: selected.lat,
+        lng: selected.lng,
+        maxR: Math.max(5, selected.magnitude * 3),
+        propagationSpeed: 2,
+        repeatPeriod: 1000,
+        color: '#ffffff'
       })
+    }
+
+    if (this.view) {
+      // Subsurface needs globe.gl; elsewhere depth is shown through the marker color
+      const points = this.subsurface
+        ? globeEarthquakes.map(eq => ({ ...eq, color: depthColor(eq.depth) }))
+        : globeEarthquakes
+      this.view.render(points, { rings: ringData, selectedId: this.selectedId })
+      return
+    }
+
+    // Subsurface mode replaces the surface points with hypocenters
+    this.globe.customLayerData(this.subsurface ? globeEarthquakes : [])
+
+    // Update points on globe with enhanced visualization
+    this.globe
+      .pointsData(this.subsurface ? [] : globeEarthquakes)
+      .pointAltitude(0.02)
+      .pointColor(d => d.id === this.selectedId ? '#ffffff' : d.color)
+      .pointRadius(d => d.id === this.selectedId ? d.size * 1.5 : d.size)
+      .pointResolution(20)
+      .pointLabel(d => this.earthquakeLabel(d))
       
-      // Major earthquakes (6.0+) that aren't in top 5 get standard rings
-      globeEarthquakes.filter(eq => eq.magnitude >= 6.0 && !eq.isTopFive).forEach(eq => {
-        ringData.push({
-          lat: eq.lat,
-          lng: eq.lng,
-          maxR: eq.magnitude * 3,
-          propagationSpeed: 2,
-          repeatPeriod: 2500, // Slower pulsing for others
-          color: eq.color
+    this.globe
+      .ringsData(ringData)
+      .ringColor(d => d.color)
+      .ringMaxRadius(d => d.maxR)
+      .ringPropagationSpeed(d => d.propagationSpeed)
+      .ringRepeatPeriod(d => d.repeatPeriod)
+  },
+
+  // Overlay layers are toggled from the legend rendered inside the globe
+  // container; GeoJSON-backed layers load on first use
+  setupLayers() {
+    this.layers = { plates: false, tsunami: false, countries: false }
+    this.layerData = {}
+    this.platePaths = []
+
+    if (this.globe) {
+      this.globe
+        .pathPoints(path => path)
+        .pathPointLat(point => point[1])
+        .pathPointLng(point => point[0])
+        .pathColor(() => PLATE_COLOR)
+        .pathStroke(1)
+        .htmlElement(d => this.tsunamiFlag(d))
+        .htmlAltitude(0.03)
+        .polygonAltitude(0.004)
+        .polygonSideColor(() => 'rgba(0, 0, 0, 0)')
+        .polygonStrokeColor(() => 'rgba(255, 255, 255, 0.25)')
+        .customThreeObject(d => new THREE.Mesh(
+          new THREE.SphereGeometry(Math.max(0.6, d.size * 1.2), 12, 12),
+          new THREE.MeshLambertMaterial({ color: depthColor(d.depth) })
+        ))
+        .customThreeObjectUpdate((object, d) => {
+          Object.assign(object.position, this.globe.getCoords(d.lat, d.lng, depthAltitude(d.depth)))
+          object.material.color.set(d.id === this.selectedId ? '#ffffff' : depthColor(d.depth))
         })
+        .customLayerLabel(d => this.earthquakeLabel(d))
+        .onCustomLayerClick(d => this.selectEarthquake(d.id, { push: true }))
+    }
+
+    this.layerLegend = this.el.querySelector('[data-globe-layers]')
+    if (!this.layerLegend) return
+
+    const subsurfaceToggle = this.layerLegend.querySelector('[data-subsurface-toggle]')
+    if (subsurfaceToggle) {
+      this.effects.listen(subsurfaceToggle, 'change', () => this.setSubsurface(subsurfaceToggle.checked))
+    }
+
+    this.layerLegend.querySelectorAll('[data-layer-toggle]').forEach(input => {
+      this.effects.listen(input, 'change', () => this.toggleLayer(input.dataset.layerToggle, input.checked))
+      if (input.checked) this.toggleLayer(input.dataset.layerToggle, true)
+    })
+  },
+
+  toggleLayer(layer, enabled) {
+    this.layers[layer] = enabled
+
+    if (!enabled || !LAYER_SOURCES[layer] || this.layerData[layer]) {
+      this.renderLayers(this.displayedEarthquakes || [])
+      return
+    }
+
+    this.setLayerStatus(layer, 'loading…')
+    loadLayerFeatures(layer)
+      .then(features => {
+        if (this.effects.destroyed) return
+
+        this.layerData[layer] = features
+        if (layer === 'plates') this.platePaths = boundaryPaths(features)
+        this.setLayerStatus(layer, '')
+        this.renderLayers(this.displayedEarthquakes || [])
       })
-      
-      this.globe
-        .ringsData(ringData)
-        .ringColor(d => d.color)
-        .ringMaxRadius(d => d.maxR)
-        .ringPropagationSpeed(d => d.propagationSpeed)
-        .ringRepeatPeriod(d => d.repeatPeriod)
-        
-    } catch (error) {
-      console.error('Error updating earthquake data:', error)
+      .catch(error => {
+        console.warn(`Could not load the ${layer} layer:`, error)
+        if (this.effects.destroyed) return
+
+        this.layers[layer] = false
+        const input = this.layerLegend && this.layerLegend.querySelector(`[data-layer-toggle="${layer}"]`)
+        if (input) input.checked = false
+        this.setLayerStatus(layer, 'unavailable')
+      })
+  },
+
+  // Subsurface mode: a see-through globe with hypocenters drawn below the
+  // surface by depth, plus the depth color legend
+  setSubsurface(enabled) {
+    this.subsurface = enabled
+
+    if (this.globe) {
+      const material = this.globe.globeMaterial()
+      material.transparent = enabled
+      material.opacity = enabled ? 0.35 : 1
+      material.depthWrite = !enabled
+      material.needsUpdate = true
     }
+
+    const legend = this.el.querySelector('[data-depth-legend]')
+    if (legend) {
+      if (enabled && !legend.hasChildNodes()) renderDepthLegend(legend)
+      legend.classList.toggle('hidden', !enabled)
+    }
+
+    this.renderEarthquakes()
+  },
+
+  setLayerStatus(layer, text) {
+    const status = this.layerLegend && this.layerLegend.querySelector(`[data-layer-status="${layer}"]`)
+    if (status) status.textContent = text
+  },
+
+  renderLayers(points) {
+    if (!this.layers) return
+
+    const plates = this.layers.plates ? this.layerData.plates || [] : []
+    const countries = this.layers.countries ? this.layerData.countries || [] : []
+    const tsunami = this.layers.tsunami ? points.filter(eq => eq.tsunami) : []
+    const counts = countries.length > 0 ? countByCountry(countries, points) : new Map()
+
+    this.setLayerStatus('tsunami', this.layers.tsunami ? `(${tsunami.length})` : '')
+    if (this.layerData.countries) {
+      this.setLayerStatus('countries', this.layers.countries ? `(${counts.size} countries)` : '')
+    }
+
+    if (this.view) {
+      this.view.renderLayers({ plates, tsunami, countries, counts })
+      return
+    }
+
+    const max = Math.max(0, ...counts.values())
+    this.globe
+      .pathsData(this.layers.plates ? this.platePaths : [])
+      .htmlElementsData(tsunami)
+      .polygonsData(countries)
+      .polygonCapColor(feature => countryColor(counts.get(feature), max))
+      .polygonLabel(feature => `
+        <div style="padding: 6px 10px; background: rgba(0,0,0,0.9); border-radius: 6px; color: white; font-size: 13px;">
+          ${countryName(feature)}: <strong>${counts.get(feature) || 0}</strong> events
+        </div>
+      `)
+  },
+
+  tsunamiFlag(d) {
+    const flag = document.createElement('div')
+    flag.textContent = '🌊'
+    flag.title = `Tsunami warning: ${d.location}`
+    flag.style.cssText = `font-size: 18px; color: ${TSUNAMI_COLOR}; text-shadow: 0 0 6px ${TSUNAMI_COLOR}; pointer-events: none; transform: translate(-50%, -100%);`
+    return flag
+  },
+
+  earthquakeLabel(d) {
+    return `
+      <div style="padding: 10px; background: rgba(0,0,0,0.9); border-radius: 8px; color: white; font-size: 14px; border: 2px solid ${d.color}; box-shadow: 0 4px 12px rgba(0,0,0,0.3);">
+        <div style="font-weight: bold; margin-bottom: 5px; color: ${d.color};">${d.location}${d.isTopFive ? ' ⭐' : ''}</div>
+        ${d.isTopFive ? '<div style="font-size: 12px; color: #ffab00; margin-bottom: 3px;">📊 Featured in Recent List</div>' : ''}
+        <div>🌍 Magnitude: <strong>${d.magnitude}</strong></div>
+        <div>📏 Depth: <strong>${d.depth}km</strong></div>
+        <div>⏰ Time: <strong>${d.time || 'Unknown'}</strong></div>
+      </div>
+    `
+  },
+
+  // Add rings - top 5 earthquakes get special pulsating rings, major ones get standard rings
+  liveRings(globeEarthquakes) {
+    const ringData = []
+    
+    // Top 5 earthquakes get pulsating rings regardless of magnitude
+    globeEarthquakes.filter(eq => eq.isTopFive).forEach(eq => {
+      ringData.push({
+        lat: eq.lat,
+        lng: eq.lng,
+        maxR: Math.max(4, eq.magnitude * 2.5),
+        propagationSpeed: 1.5,
+        repeatPeriod: 1500, // Faster pulsing for top 5
+        color: eq.color
+      })
+    })
+    
+    // Major earthquakes (6.0+) that aren't in top 5 get standard rings
+    globeEarthquakes.filter(eq => eq.magnitude >= 6.0 && !eq.isTopFive).forEach(eq => {
+      ringData.push({
+        lat: eq.lat,
+        lng: eq.lng,
+        maxR: eq.magnitude * 3,
+        propagationSpeed: 2,
+        repeatPeriod: 2500, // Slower pulsing for others
+        color: eq.color
+      })
+    })
+
+    return ringData
+  },
+
+  // Follow selections made from the event list (rendered into the dataset)
+  syncSelection() {
+    const id = this.el.dataset.selectedEarthquake || null
+    if (id !== this.selectedId) this.selectEarthquake(id)
+  },
+
+  selectEarthquake(id, { push = false } = {}) {
+    if (id === this.selectedId) return
+    this.selectedId = id
+
+    const earthquake = id && (this.allEarthquakes || []).find(eq => eq.id === id)
+    if (earthquake && this.globe) {
+      this.stopAutoRotate()
+      this.globe.pointOfView({ lat: earthquake.lat, lng: earthquake.lng, altitude: 1.5 }, 1000)
+    } else if (earthquake && this.view && this.view.focus) {
+      this.view.focus(earthquake)
+    }
+
+    this.renderEarthquakes()
+    if (push) this.pushEvent('select_earthquake', { id })
+  },
+
+  stopAutoRotate() {
+    try {
+      const controls = this.globe.controls()
+      if (controls) controls.autoRotate = false
+    } catch (e) {
+      console.log('Controls not available:', e)
+    }
+  },
+
+  // Alert settings are edited in the controls named by data-alert-controls
+  // and stored in localStorage
+  setupAlerts() {
+    this.alerts = new QuakeAlerts(loadAlertSettings())
+    this.alertControls = document.getElementById(this.el.dataset.alertControls)
+    const controls = this.alertControls
+    if (!controls) return
+
+    const settings = this.alerts.settings
+    const input = selector => controls.querySelector(selector) || {}
+    input('[data-alert-enabled]').checked = settings.enabled
+    input('[data-alert-magnitude]').value = settings.minMagnitude
+    input('[data-alert-sound]').checked = settings.sound
+    input('[data-alert-quiet-start]').value = settings.quietStart
+    input('[data-alert-quiet-end]').value = settings.quietEnd
+
+    controls.querySelectorAll('input').forEach(element => {
+      this.effects.listen(element, 'change', () => this.readAlertControls())
+    })
+    this.armAlertSound()
+    this.syncAlertStatus()
+  },
+
+  // Browsers only let audio start from a user gesture, so with sound enabled
+  // from stored settings the AudioContext waits for the first click or tap
+  // anywhere on the page
+  armAlertSound() {
+    if (this.disarmAlertSound || !this.alerts.settings.enabled || !this.alerts.settings.sound) return
+
+    this.disarmAlertSound = this.effects.listen(document, 'pointerdown', () => {
+      this.disarmAlertSound()
+      this.disarmAlertSound = null
+      this.unlockAlertSound()
+    }, { capture: true })
+  },
+
+  // Must run from a user gesture
+  unlockAlertSound() {
+    if (!window.AudioContext) return
+
+    if (!this.audioContext) this.audioContext = new AudioContext()
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume().then(() => this.syncAlertStatus())
+    }
+    this.syncAlertStatus()
+  },
+
+  readAlertControls() {
+    const controls = this.alertControls
+    const input = selector => controls.querySelector(selector) || {}
+    const minMagnitude = parseFloat(input('[data-alert-magnitude]').value)
+
+    this.alerts.settings = {
+      enabled: Boolean(input('[data-alert-enabled]').checked),
+      minMagnitude: Number.isFinite(minMagnitude) ? minMagnitude : this.alerts.settings.minMagnitude,
+      sound: Boolean(input('[data-alert-sound]').checked),
+      quietStart: input('[data-alert-quiet-start]').value || '',
+      quietEnd: input('[data-alert-quiet-end]').value || ''
+    }
+    saveAlertSettings(this.alerts.settings)
+
+    // Both need a user gesture, and this runs from one
+    if (this.alerts.settings.enabled) {
+      if (notificationsSupported() && Notification.permission === 'default') {
+        requestNotificationPermission(() => this.syncAlertStatus())
+      }
+      if (this.alerts.settings.sound) this.unlockAlertSound()
+    }
+
+    this.syncAlertStatus()
+  },
+
+  syncAlertStatus() {
+    const status = this.alertControls && this.alertControls.querySelector('[data-alert-status]')
+    if (!status) return
+
+    if (!this.alerts.settings.enabled) {
+      status.textContent = ''
+    } else if (!notificationsSupported()) {
+      status.textContent = 'Desktop notifications not supported'
+    } else if (Notification.permission === 'denied') {
+      status.textContent = 'Notifications blocked in browser settings'
+    } else if (this.alerts.settings.sound && window.AudioContext && !this.soundUnlocked()) {
+      status.textContent = 'Click anywhere on the page to turn on alert sounds'
+    } else {
+      status.textContent = ''
+    }
+  },
+
+  soundUnlocked() {
+    return Boolean(this.audioContext) && this.audioContext.state === 'running'
+  },
+
+  announceEarthquakes() {
+    if (!this.alerts) return
+
+    this.alerts.receive(this.allEarthquakes)
+    this.flushAlerts()
+  },
+
+  // Throttled alerts go out when the throttle window ends. A plain timeout,
+  // not the scheduler's, so alerts still fire while the tab is hidden
+  flushAlerts() {
+    if (this.alertTimer) return
+
+    const wait = this.alerts.wait()
+    if (wait > 0 && this.alerts.pending.length > 0) {
+      const id = setTimeout(() => {
+        cancel()
+        this.alertTimer = null
+        this.flushAlerts()
+      }, wait)
+      const cancel = this.effects.track(() => clearTimeout(id))
+      this.alertTimer = id
+      return
+    }
+
+    const quakes = this.alerts.due()
+    if (quakes.length === 0) return
+
+    showQuakeNotification(quakes, { onClick: quake => this.selectEarthquake(quake.id, { push: true }) })
+    if (this.alerts.settings.sound) {
+      if (this.soundUnlocked()) {
+        playAlertTone(this.audioContext)
+      } else {
+        // Never unlocked, or suspended by the browser since
+        this.armAlertSound()
+        this.syncAlertStatus()
+      }
+    }
+  },
+
+  setupTimelapse() {
+    this.timelapse = new Timelapse(this.globeEarthquakes || [])
+    this.timelapseControls = document.getElementById(this.el.dataset.timelapseControls)
+    const controls = this.timelapseControls
+    if (!controls) return
+
+    const playButton = controls.querySelector('[data-timelapse-play]')
+    const scrubber = controls.querySelector('[data-timelapse-scrubber]')
+    const speed = controls.querySelector('[data-timelapse-speed]')
+    const liveButton = controls.querySelector('[data-timelapse-live]')
+
+    // The controls sit outside the hook element, so listeners go through the
+    // scheduler to be removed on destroyed()
+    if (playButton) {
+      this.effects.listen(playButton, 'click', () => {
+        if (this.timelapse.playing) {
+          this.pauseTimelapse()
+        } else {
+          this.playTimelapse()
+        }
+      })
+    }
+
+    if (scrubber) {
+      this.effects.listen(scrubber, 'input', () => {
+        this.timelapse.seek(scrubber.value / scrubber.max)
+        this.renderEarthquakes()
+        this.syncTimelapseControls()
+      })
+    }
+
+    if (speed) {
+      this.timelapse.setSpeed(speed.value)
+      this.effects.listen(speed, 'change', () => this.timelapse.setSpeed(speed.value))
+    }
+
+    if (liveButton) {
+      this.effects.listen(liveButton, 'click', () => {
+        this.pauseTimelapse()
+        this.timelapse.live()
+        this.renderEarthquakes()
+        this.syncTimelapseControls()
+      })
+    }
+
+    this.syncTimelapseControls()
+  },
+
+  playTimelapse() {
+    if (!this.timelapse.play()) return
+
+    this.renderEarthquakes()
+    this.syncTimelapseControls()
+
+    if (this.stopTimelapse) this.stopTimelapse()
+    this.stopTimelapse = this.effects.loop((time, delta) => this.stepTimelapse(delta))
+  },
+
+  pauseTimelapse() {
+    this.timelapse.pause()
+    if (this.stopTimelapse) {
+      this.stopTimelapse()
+      this.stopTimelapse = null
+    }
+    this.syncTimelapseControls()
+  },
+
+  stepTimelapse(delta) {
+    const before = this.timelapseFrameKey()
+    this.timelapse.advance(delta)
+
+    // Only rebuild globe layers when a quake appears or a ring expires
+    if (this.timelapseFrameKey() !== before || !this.timelapse.playing) {
+      this.renderEarthquakes()
+    }
+    if (!this.timelapse.playing) this.pauseTimelapse()
+
+    this.syncTimelapseControls()
+  },
+
+  timelapseFrameKey() {
+    return `${this.timelapse.visible().length}:${this.timelapse.recent().length}`
+  },
+
+  syncTimelapseControls() {
+    const controls = this.timelapseControls
+    if (!controls || !this.timelapse) return
+
+    const { available, playing, active } = this.timelapse
+
+    const playButton = controls.querySelector('[data-timelapse-play]')
+    if (playButton) {
+      playButton.disabled = !available
+      playButton.textContent = playing ? '⏸' : '▶'
+      playButton.setAttribute('aria-label', playing ? 'Pause time-lapse' : 'Play time-lapse')
+    }
+
+    const scrubber = controls.querySelector('[data-timelapse-scrubber]')
+    if (scrubber) {
+      scrubber.disabled = !available
+      scrubber.value = Math.round(this.timelapse.progress * scrubber.max)
+    }
+
+    const label = controls.querySelector('[data-timelapse-time]')
+    if (label) {
+      label.textContent = active
+        ? new Date(this.timelapse.cursor).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+        : 'Live'
+    }
+
+    const liveButton = controls.querySelector('[data-timelapse-live]')
+    if (liveButton) liveButton.disabled = !active
   },
   
   getMagnitudeColor(magnitude) {
@@ -0,0 +1,355 @@
+import * as d3 from 'd3'
+import * as THREE from 'three'
+import { PLATE_COLOR, TSUNAMI_COLOR, countryColor } from './earthquake_layers'
+
+// Lightweight Three.js renderer for the earthquake globe (data-renderer="lite")
+//
+// Needs no globe.gl: the Earth wears the same locally served blue-marble and
+// topology images as the full globe, so it suits low-end kiosks and offline
+// displays. It takes the same points, rings and layers as the globe.gl and
+// 2D renderers.
+// Point sizes and ring radii arrive in globe.gl's angular degrees.
+
+const DEG = Math.PI / 180
+
+// Same lat/lng -> xyz convention as three-globe, so equirectangular textures
+// and markers line up; (0, 0) faces the camera on +z
+function toVector(lat, lng, radius = 1) {
+  const phi = (90 - lat) * DEG
+  const theta = (90 - lng) * DEG
+  return new THREE.Vector3(
+    radius * Math.sin(phi) * Math.cos(theta),
+    radius * Math.cos(phi),
+    radius * Math.sin(phi) * Math.sin(theta)
+  )
+}
+
+export class LiteEarthquakeGlobe {
+  constructor(container, { textureUrl, bumpUrl, label, onSelect, effects } = {}) {
+    this.container = container
+    this.textureUrl = textureUrl
+    this.bumpUrl = bumpUrl
+    this.label = label || (() => '')
+    this.onSelect = onSelect || (() => {})
+    this.effects = effects
+
+    this.points = []
+    this.rings = []
+    this.autoRotate = true
+    this.targetRotation = null
+
+    const width = container.offsetWidth
+    const height = container.offsetHeight
+
+    this.scene = new THREE.Scene()
+    this.camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 100)
+    this.camera.position.set(0, 0, 3.2)
+
+    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, powerPreference: 'low-power' })
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5))
+    this.renderer.setSize(width, height)
+    this.renderer.domElement.style.position = 'absolute'
+    this.renderer.domElement.style.inset = '0'
+    container.appendChild(this.renderer.domElement)
+
+    // Everything that turns with the Earth lives in one group
+    this.globeGroup = new THREE.Group()
+    this.scene.add(this.globeGroup)
+
+    this.createEarth()
+    this.createAtmosphere()
+    this.setupLighting()
+
+    this.layerGroup = new THREE.Group()
+    this.ringGroup = new THREE.Group()
+    this.markerGroup = new THREE.Group()
+    this.globeGroup.add(this.layerGroup, this.ringGroup, this.markerGroup)
+
+    this.raycaster = new THREE.Raycaster()
+    this.pointer = new THREE.Vector2()
+
+    this.tooltip = document.createElement('div')
+    this.tooltip.style.cssText = 'position: absolute; pointer-events: none; z-index: 20; display: none;'
+    container.appendChild(this.tooltip)
+
+    this.setupControls()
+    this.effects.loop((time, delta) => this.animate(time, delta))
+  }
+
+  createEarth() {
+    // Plain ocean until the textures arrive, and for good if they never do
+    const material = new THREE.MeshPhongMaterial({
+      color: 0x1e3a5f,
+      emissive: 0x0a1433,
+      shininess: 15
+    })
+
+    this.earth = new THREE.Mesh(new THREE.SphereGeometry(1, 48, 48), material)
+    // SphereGeometry puts the prime meridian on +x; three-globe faces it along +z
+    this.earth.rotation.y = -Math.PI / 2
+    this.globeGroup.add(this.earth)
+
+    this.loadTextures(material)
+    this.createSubtleGrid()
+  }
+
+  loadTextures(material) {
+    const loader = new THREE.TextureLoader()
+    const load = (url, apply) => {
+      if (!url) return
+      loader.load(
+        url,
+        texture => {
+          if (this.destroyed) return texture.dispose()
+          apply(texture)
+          material.needsUpdate = true
+        },
+        undefined,
+        error => console.warn('Lite globe texture failed to load:', url, error)
+      )
+    }
+
+    load(this.textureUrl, texture => {
+      texture.colorSpace = THREE.SRGBColorSpace
+      material.map = texture
+      material.color.set(0xffffff)
+    })
+    load(this.bumpUrl, texture => {
+      material.bumpMap = texture
+      material.bumpScale = 0.02
+    })
+  }
+
+  createSubtleGrid() {
+    const material = new THREE.LineBasicMaterial({ color: 0x4a90e2, transparent: true, opacity: 0.12 })
+    const line = points => new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material)
+
+    for (let lat = -60; lat <= 60; lat += 30) {
+      const points = []
+      for (let lng = -180; lng <= 180; lng += 10) points.push(toVector(lat, lng, 1.001))
+      this.globeGroup.add(line(points))
+    }
+
+    for (let lng = -180; lng < 180; lng += 30) {
+      const points = []
+      for (let lat = -90; lat <= 90; lat += 5) points.push(toVector(lat, lng, 1.001))
+      this.globeGroup.add(line(points))
+    }
+  }
+
+  createAtmosphere() {
+    const atmosphere = new THREE.Mesh(
+      new THREE.SphereGeometry(1.08, 48, 48),
+      new THREE.MeshBasicMaterial({
+        color: 0x87ceeb,
+        transparent: true,
+        opacity: 0.12,
+        side: THREE.BackSide,
+        blending: THREE.AdditiveBlending
+      })
+    )
+    this.scene.add(atmosphere)
+  }
+
+  setupLighting() {
+    this.scene.add(new THREE.AmbientLight(0x87ceeb, 0.6))
+
+    const sunLight = new THREE.DirectionalLight(0xffffff, 0.9)
+    sunLight.position.set(3, 2, 4)
+    this.scene.add(sunLight)
+  }
+
+  setupControls() {
+    const canvas = this.renderer.domElement
+    let dragging = false
+    let moved = 0
+    let last = null
+
+    this.effects.listen(canvas, 'pointerdown', event => {
+      dragging = true
+      moved = 0
+      last = { x: event.clientX, y: event.clientY }
+    })
+
+    this.effects.listen(window, 'pointerup', event => {
+      if (!dragging) return
+      dragging = false
+
+      // A press that barely moved is a click, not a drag
+      if (moved < 4 && event.target === canvas) {
+        this.onSelect(this.pick(event))
+      }
+    })
+
+    this.effects.listen(canvas, 'pointermove', event => {
+      if (dragging) {
+        const dx = event.clientX - last.x
+        const dy = event.clientY - last.y
+        moved += Math.abs(dx) + Math.abs(dy)
+        last = { x: event.clientX, y: event.clientY }
+
+        this.autoRotate = false
+        this.targetRotation = null
+        this.globeGroup.rotation.y += dx * 0.005
+        this.globeGroup.rotation.x = Math.max(-1.2, Math.min(1.2, this.globeGroup.rotation.x + dy * 0.005))
+        this.tooltip.style.display = 'none'
+        return
+      }
+
+      this.hover(event)
+    })
+
+    this.effects.listen(canvas, 'pointerleave', () => {
+      this.tooltip.style.display = 'none'
+    })
+  }
+
+  pick(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect()
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    )
+    this.raycaster.setFromCamera(this.pointer, this.camera)
+
+    // Only markers on the visible hemisphere count
+    const hits = this.raycaster.intersectObjects([this.earth, ...this.markerGroup.children])
+    return hits.length > 0 && hits[0].object !== this.earth ? hits[0].object.userData.point : null
+  }
+
+  hover(event) {
+    const point = this.pick(event)
+    if (!point) {
+      this.tooltip.style.display = 'none'
+      return
+    }
+
+    const rect = this.container.getBoundingClientRect()
+    this.tooltip.innerHTML = this.label(point)
+    this.tooltip.style.left = `${event.clientX - rect.left + 12}px`
+    this.tooltip.style.top = `${event.clientY - rect.top + 12}px`
+    this.tooltip.style.display = 'block'
+  }
+
+  render(points, { rings = [], selectedId = null } = {}) {
+    this.clearGroup(this.markerGroup)
+    this.points = points
+
+    points.forEach(point => {
+      const selected = point.id === selectedId
+      const radius = Math.max(0.012, point.size * DEG) * (selected ? 1.5 : 1)
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(radius, 12, 12),
+        new THREE.MeshBasicMaterial({ color: selected ? '#ffffff' : point.color })
+      )
+      marker.position.copy(toVector(point.lat, point.lng, 1.01))
+      marker.userData.point = point
+      this.markerGroup.add(marker)
+    })
+
+    this.clearGroup(this.ringGroup)
+    this.rings = rings.map(ring => {
+      const mesh = new THREE.Mesh(
+        new THREE.RingGeometry(0.96, 1, 48),
+        new THREE.MeshBasicMaterial({
+          color: ring.color,
+          transparent: true,
+          side: THREE.DoubleSide,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false
+        })
+      )
+      mesh.position.copy(toVector(ring.lat, ring.lng, 1.005))
+      mesh.lookAt(new THREE.Vector3(0, 0, 0))
+      this.ringGroup.add(mesh)
+
+      return { mesh, maxRadius: ring.maxR * DEG, period: ring.repeatPeriod, phase: Math.random() }
+    })
+  }
+
+  // Plates and country borders as lines; countries are tinted by event count
+  renderLayers({ plates = [], tsunami = [], countries = [], counts = new Map() } = {}) {
+    this.clearGroup(this.layerGroup)
+
+    const addLine = (coordinates, color, opacity) => {
+      const points = coordinates.map(([lng, lat]) => toVector(lat, lng, 1.003))
+      const material = new THREE.LineBasicMaterial({ color, transparent: true, opacity })
+      this.layerGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material))
+    }
+
+    plates.forEach(feature => {
+      const { type, coordinates } = feature.geometry || {}
+      if (type === 'LineString') addLine(coordinates, PLATE_COLOR, 0.8)
+      if (type === 'MultiLineString') coordinates.forEach(line => addLine(line, PLATE_COLOR, 0.8))
+    })
+
+    // Line materials ignore alpha in the color itself, so it moves to opacity
+    const max = Math.max(0, ...counts.values())
+    countries.forEach(feature => {
+      const count = counts.get(feature)
+      const color = count ? d3.color(countryColor(count, max)).copy({ opacity: 1 }).formatHex() : '#ffffff'
+      const { type, coordinates } = feature.geometry || {}
+      const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : []
+      polygons.forEach(rings => addLine(rings[0], color, count ? 0.9 : 0.25))
+    })
+
+    tsunami.forEach(point => {
+      const spike = [toVector(point.lat, point.lng, 1.01), toVector(point.lat, point.lng, 1.12)]
+      const material = new THREE.LineBasicMaterial({ color: TSUNAMI_COLOR })
+      this.layerGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(spike), material))
+    })
+  }
+
+  // Turn the globe so the point faces the camera
+  focus(point) {
+    this.autoRotate = false
+    this.targetRotation = { x: point.lat * DEG, y: -point.lng * DEG }
+  }
+
+  animate(time, delta) {
+    const rotation = this.globeGroup.rotation
+
+    if (this.targetRotation) {
+      // Ease toward the target along the shortest way round
+      const dy = Math.atan2(Math.sin(this.targetRotation.y - rotation.y), Math.cos(this.targetRotation.y - rotation.y))
+      rotation.x += (this.targetRotation.x - rotation.x) * 0.08
+      rotation.y += dy * 0.08
+      if (Math.abs(dy) < 0.001 && Math.abs(this.targetRotation.x - rotation.x) < 0.001) {
+        this.targetRotation = null
+      }
+    } else if (this.autoRotate) {
+      rotation.y += delta * 0.00006
+    }
+
+    // Rings expand from the epicenter and fade, like globe.gl's
+    this.rings.forEach(ring => {
+      const progress = ((time / ring.period) + ring.phase) % 1
+      ring.mesh.scale.setScalar(Math.max(0.001, ring.maxRadius * progress))
+      ring.mesh.material.opacity = 1 - progress
+    })
+
+    this.renderer.render(this.scene, this.camera)
+  }
+
+  clearGroup(group) {
+    while (group.children.length > 0) {
+      const child = group.children[0]
+      group.remove(child)
+      child.geometry.dispose()
+      child.material.dispose()
+    }
+  }
+
+  destroy() {
+    this.destroyed = true
+    this.clearGroup(this.markerGroup)
+    this.clearGroup(this.ringGroup)
+    this.clearGroup(this.layerGroup)
+    const { map, bumpMap } = this.earth.material
+    if (map) map.dispose()
+    if (bumpMap) bumpMap.dispose()
+    this.renderer.dispose()
+    this.renderer.domElement.remove()
+    this.tooltip.remove()
+  }
+}
@@ -0,0 +1,107 @@
+// Overlay layers for the earthquake globe: plate boundaries, tsunami flags and
+// countries shaded by event count
+//
+// GeoJSON is served from priv/static/geo and fetched once per page, the first
+// time a layer is switched on. countries.geojson is Natural Earth 1:110m.
+// plate_boundaries.geojson is a coarse digitisation of the major boundaries
+// after Bird's PB2002 model, with the same Name/PlateA/PlateB properties; the
+// full PB2002 set (github.com/fraxen/tectonicplates) can replace it as is.
+
+import * as d3 from 'd3'
+
+export const GEO_DATA_BASE_URL = '/geo'
+
+// Layers that need GeoJSON, and the file each one loads
+export const LAYER_SOURCES = {
+  plates: 'plate_boundaries.geojson',
+  countries: 'countries.geojson'
+}
+
+export const PLATE_COLOR = '#f97316'
+export const TSUNAMI_COLOR = '#38bdf8'
+
+const featureCache = new Map()
+
+export function loadLayerFeatures(layer, baseUrl = GEO_DATA_BASE_URL) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/${LAYER_SOURCES[layer]}`
+
+  if (!featureCache.has(url)) {
+    const request = fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`)
+        return response.json()
+      })
+      .then(geojson => geojson.features || [])
+      .catch(error => {
+        // Allow a retry the next time the layer is toggled
+        featureCache.delete(url)
+        throw error
+      })
+
+    featureCache.set(url, request)
+  }
+
+  return featureCache.get(url)
+}
+
+// Plate boundary (Multi)LineStrings as flat [lng, lat] arrays for globe.gl paths
+export function boundaryPaths(features) {
+  return features.flatMap(feature => {
+    const geometry = feature.geometry || {}
+    if (geometry.type === 'LineString') return [geometry.coordinates]
+    if (geometry.type === 'MultiLineString') return geometry.coordinates
+    return []
+  })
+}
+
+// Ray casting on raw lng/lat; winding-agnostic, which matters because
+// Natural Earth rings don't follow d3's spherical winding convention
+function ringContains(ring, [x, y]) {
+  let inside = false
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+
+  return inside
+}
+
+function polygonContains(rings, point) {
+  return ringContains(rings[0], point) && !rings.slice(1).some(hole => ringContains(hole, point))
+}
+
+export function featureContains(feature, point) {
+  const geometry = feature.geometry || {}
+  if (geometry.type === 'Polygon') return polygonContains(geometry.coordinates, point)
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates.some(rings => polygonContains(rings, point))
+  return false
+}
+
+// Map of country feature -> number of quakes inside it; offshore quakes,
+// the majority, don't count toward any country
+export function countByCountry(countries, quakes) {
+  const counts = new Map()
+
+  quakes.forEach(quake => {
+    const country = countries.find(feature => featureContains(feature, [quake.lng, quake.lat]))
+    if (country) counts.set(country, (counts.get(country) || 0) + 1)
+  })
+
+  return counts
+}
+
+export function countryColor(count, max) {
+  if (!count) return 'rgba(0, 0, 0, 0)'
+
+  const color = d3.color(d3.interpolateYlOrRd(0.25 + 0.75 * (count / Math.max(1, max))))
+  color.opacity = 0.6
+  return color.formatRgb()
+}
+
+export function countryName(feature) {
+  return (feature.properties && (feature.properties.name || feature.properties.NAME)) || 'Unknown'
+}
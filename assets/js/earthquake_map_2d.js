@@ -0,0 +1,184 @@
+import * as d3 from 'd3'
+import { PLATE_COLOR, TSUNAMI_COLOR, countryColor, countryName } from './earthquake_layers'
+
+// 2D fallback for the earthquake globe when WebGL is unavailable
+//
+// Draws the same points, rings and tooltips as the globe.gl renderer on an
+// equirectangular d3-geo projection. The globe's blue-marble texture is itself
+// equirectangular, so it doubles as the map background. Point sizes and ring
+// radii arrive in the globe's angular degrees and are scaled to pixels here.
+
+export function webglAvailable() {
+  try {
+    const canvas = document.createElement('canvas')
+    return Boolean(window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl')))
+  } catch (error) {
+    return false
+  }
+}
+
+export class FlatEarthquakeMap {
+  constructor(container, { textureUrl, label, onSelect } = {}) {
+    this.container = container
+    this.label = label || (() => '')
+    this.onSelect = onSelect || (() => {})
+
+    this.width = container.offsetWidth || 800
+    this.height = container.offsetHeight || 450
+
+    const sphere = { type: 'Sphere' }
+    this.projection = d3.geoEquirectangular().fitSize([this.width, this.height], sphere)
+    const path = d3.geoPath(this.projection)
+    const [[x0, y0], [x1, y1]] = path.bounds(sphere)
+    this.path = path
+
+    // Pixels per degree of longitude, for converting globe.gl sizes
+    this.scale = (x1 - x0) / 360
+
+    this.svg = d3.select(container)
+      .append('svg')
+      .attr('class', 'earthquake-map-2d')
+      .attr('viewBox', `0 0 ${this.width} ${this.height}`)
+      .attr('width', '100%')
+      .attr('height', '100%')
+      .style('position', 'absolute')
+      .style('inset', 0)
+      .on('click', () => this.onSelect(null))
+
+    this.svg.append('path')
+      .datum(sphere)
+      .attr('d', path)
+      .attr('fill', '#0b1d33')
+
+    if (textureUrl) {
+      this.svg.append('image')
+        .attr('href', textureUrl)
+        .attr('x', x0)
+        .attr('y', y0)
+        .attr('width', x1 - x0)
+        .attr('height', y1 - y0)
+        .attr('preserveAspectRatio', 'none')
+    }
+
+    this.svg.append('path')
+      .datum(d3.geoGraticule10())
+      .attr('d', path)
+      .attr('fill', 'none')
+      .attr('stroke', 'rgba(255, 255, 255, 0.15)')
+      .attr('stroke-width', 0.5)
+
+    this.countryLayer = this.svg.append('g').attr('class', 'countries')
+    this.plateLayer = this.svg.append('g').attr('class', 'plates').style('pointer-events', 'none')
+    this.ringLayer = this.svg.append('g').attr('class', 'rings').style('pointer-events', 'none')
+    this.pointLayer = this.svg.append('g').attr('class', 'points')
+    this.flagLayer = this.svg.append('g').attr('class', 'tsunami-flags').style('pointer-events', 'none')
+
+    this.tooltip = d3.select(container)
+      .append('div')
+      .style('position', 'absolute')
+      .style('pointer-events', 'none')
+      .style('z-index', 20)
+      .style('display', 'none')
+  }
+
+  render(points, { rings = [], selectedId = null } = {}) {
+    const position = d => this.projection([d.lng, d.lat])
+
+    this.pointLayer.selectAll('circle')
+      .data(points, d => d.id || `${d.lat},${d.lng},${d.time}`)
+      .join('circle')
+      .attr('cx', d => position(d)[0])
+      .attr('cy', d => position(d)[1])
+      .attr('r', d => Math.max(2, d.size * this.scale * (d.id === selectedId ? 1.5 : 1)))
+      .attr('fill', d => d.id === selectedId ? '#ffffff' : d.color)
+      .attr('stroke', 'rgba(0, 0, 0, 0.6)')
+      .attr('stroke-width', 0.5)
+      .style('cursor', 'pointer')
+      .on('mouseenter', (event, d) => this.showTooltip(event, d))
+      .on('mousemove', event => this.moveTooltip(event))
+      .on('mouseleave', () => this.tooltip.style('display', 'none'))
+      .on('click', (event, d) => {
+        event.stopPropagation()
+        this.onSelect(d)
+      })
+
+    // Rings expand and fade like globe.gl's, using SMIL so no JS loop is needed
+    this.ringLayer.selectAll('circle').remove()
+    rings.forEach(ring => {
+      const [cx, cy] = position(ring)
+      const duration = `${ring.repeatPeriod}ms`
+      const circle = this.ringLayer.append('circle')
+        .attr('cx', cx)
+        .attr('cy', cy)
+        .attr('fill', 'none')
+        .attr('stroke', ring.color)
+        .attr('stroke-width', 1.5)
+
+      circle.append('animate')
+        .attr('attributeName', 'r')
+        .attr('from', 0)
+        .attr('to', ring.maxR * this.scale)
+        .attr('dur', duration)
+        .attr('repeatCount', 'indefinite')
+      circle.append('animate')
+        .attr('attributeName', 'opacity')
+        .attr('from', 1)
+        .attr('to', 0)
+        .attr('dur', duration)
+        .attr('repeatCount', 'indefinite')
+    })
+  }
+
+  // Overlay layers; `plates` are the GeoJSON features, `counts` maps country
+  // features to event counts
+  renderLayers({ plates = [], tsunami = [], countries = [], counts = new Map() } = {}) {
+    const max = Math.max(0, ...counts.values())
+
+    this.countryLayer.selectAll('path')
+      .data(countries)
+      .join('path')
+      .attr('d', this.path)
+      .attr('fill', d => countryColor(counts.get(d), max))
+      .attr('stroke', 'rgba(255, 255, 255, 0.25)')
+      .attr('stroke-width', 0.5)
+      .on('mouseenter', (event, d) => this.showTooltip(event, d, `${countryName(d)}: ${counts.get(d) || 0} events`))
+      .on('mousemove', event => this.moveTooltip(event))
+      .on('mouseleave', () => this.tooltip.style('display', 'none'))
+
+    this.plateLayer.selectAll('path')
+      .data(plates)
+      .join('path')
+      .attr('d', this.path)
+      .attr('fill', 'none')
+      .attr('stroke', PLATE_COLOR)
+      .attr('stroke-width', 1)
+      .attr('stroke-opacity', 0.8)
+
+    this.flagLayer.selectAll('text')
+      .data(tsunami)
+      .join('text')
+      .attr('x', d => this.projection([d.lng, d.lat])[0])
+      .attr('y', d => this.projection([d.lng, d.lat])[1] - 6)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', 14)
+      .attr('fill', TSUNAMI_COLOR)
+      .text('🌊')
+  }
+
+  showTooltip(event, d, html = null) {
+    this.tooltip.html(html || this.label(d)).style('display', 'block')
+    this.moveTooltip(event)
+  }
+
+  moveTooltip(event) {
+    const [x, y] = d3.pointer(event, this.container)
+    this.tooltip
+      .style('left', `${x + 12}px`)
+      .style('top', `${y + 12}px`)
+  }
+
+  destroy() {
+    this.svg.remove()
+    this.tooltip.remove()
+  }
+}
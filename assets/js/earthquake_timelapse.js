@@ -0,0 +1,98 @@
+// Time-lapse playback model for the earthquake globe
+//
+// The cursor moves through simulated time: at "1h" one real second of
+// playback advances it by an hour. Quakes need a numeric `timestamp` (ms);
+// anything without one is left out of the time-lapse.
+
+export const TIMELAPSE_SPEEDS = {
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+}
+
+// Real time a quake keeps its "just happened" ring during playback
+const RING_DURATION = 2000
+
+export class Timelapse {
+  constructor(quakes = [], speed = '1h') {
+    this.speed = TIMELAPSE_SPEEDS[speed] ? speed : '1h'
+    this.playing = false
+    this.setQuakes(quakes)
+  }
+
+  setQuakes(quakes) {
+    // Live mode follows new data; a scrubbed or playing cursor stays put
+    const wasLive = this.cursor === undefined || (!this.playing && this.cursor >= this.end)
+
+    this.quakes = quakes
+      .filter(quake => Number.isFinite(quake.timestamp))
+      .sort((a, b) => a.timestamp - b.timestamp)
+
+    this.start = this.quakes.length > 0 ? this.quakes[0].timestamp : 0
+    this.end = this.quakes.length > 0 ? this.quakes[this.quakes.length - 1].timestamp : 0
+
+    // Keep the playback position when new data arrives mid-review
+    if (wasLive) {
+      this.cursor = this.end
+    } else {
+      this.cursor = Math.max(this.start, Math.min(this.end, this.cursor))
+    }
+  }
+
+  get available() {
+    return this.quakes.length >= 2 && this.end > this.start
+  }
+
+  // False in live mode: cursor parked at the end and not playing
+  get active() {
+    return this.available && (this.playing || this.cursor < this.end)
+  }
+
+  get progress() {
+    return this.available ? (this.cursor - this.start) / (this.end - this.start) : 1
+  }
+
+  setSpeed(speed) {
+    if (TIMELAPSE_SPEEDS[speed]) this.speed = speed
+  }
+
+  play() {
+    if (!this.available) return false
+
+    if (this.cursor >= this.end) this.cursor = this.start
+    this.playing = true
+    return true
+  }
+
+  pause() {
+    this.playing = false
+  }
+
+  // Jump to a position between 0 (first quake) and 1 (last quake)
+  seek(fraction) {
+    const clamped = Math.max(0, Math.min(1, fraction))
+    this.cursor = this.start + clamped * (this.end - this.start)
+  }
+
+  live() {
+    this.playing = false
+    this.cursor = this.end
+  }
+
+  // Advance by `elapsed` real milliseconds; playback stops at the last quake
+  advance(elapsed) {
+    if (!this.playing) return
+
+    this.cursor = Math.min(this.end, this.cursor + (elapsed / 1000) * TIMELAPSE_SPEEDS[this.speed])
+    if (this.cursor >= this.end) this.playing = false
+  }
+
+  visible() {
+    return this.quakes.filter(quake => quake.timestamp <= this.cursor)
+  }
+
+  // Quakes that happened within the last RING_DURATION of playback
+  recent() {
+    const since = this.cursor - (RING_DURATION / 1000) * TIMELAPSE_SPEEDS[this.speed]
+    return this.visible().filter(quake => quake.timestamp > since)
+  }
+}
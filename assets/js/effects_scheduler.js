@@ -0,0 +1,137 @@
+/**
+ * Lifecycle-safe scheduler for hook timers, animation loops and observers
+ *
+ * Each hook instance creates one in mounted() and calls destroy() in
+ * destroyed(), so navigating away and back never stacks duplicate timers or
+ * rAF loops. While the tab is hidden (Page Visibility API) intervals and loops
+ * are suspended and pending timeouts keep their remaining delay.
+ *
+ *   this.effects = new EffectScheduler();
+ *   this.effects.interval(() => this.tick(), 1000);
+ *   this.effects.loop((time, delta) => this.render(delta));
+ *   this.effects.observe(new ResizeObserver(() => this.resize()), this.el);
+ *   this.effects.listen(window, 'keydown', this.handleKeydown);
+ *
+ * Every registration returns a function that cancels just that effect.
+ */
+
+export class EffectScheduler {
+  constructor() {
+    // Pausable effects ({ resume, suspend }) and one-shot teardown functions
+    this.effects = new Set();
+    this.disposers = new Set();
+    this.paused = document.hidden;
+    this.destroyed = false;
+
+    this.handleVisibility = () => this.setPaused(document.hidden);
+    document.addEventListener('visibilitychange', this.handleVisibility);
+  }
+
+  add(effect) {
+    if (this.destroyed) return () => {};
+
+    this.effects.add(effect);
+    if (!this.paused) effect.resume();
+
+    return () => {
+      if (this.effects.delete(effect)) effect.suspend();
+    };
+  }
+
+  track(dispose) {
+    if (this.destroyed) {
+      dispose();
+      return () => {};
+    }
+
+    this.disposers.add(dispose);
+    return () => {
+      if (this.disposers.delete(dispose)) dispose();
+    };
+  }
+
+  interval(callback, delay) {
+    let id = null;
+
+    return this.add({
+      resume: () => { id = setInterval(callback, delay); },
+      suspend: () => { clearInterval(id); }
+    });
+  }
+
+  timeout(callback, delay = 0) {
+    let id = null;
+    let remaining = delay;
+    let startedAt = 0;
+
+    const cancel = this.add({
+      resume: () => {
+        startedAt = Date.now();
+        id = setTimeout(() => {
+          cancel();
+          callback();
+        }, remaining);
+      },
+      suspend: () => {
+        clearTimeout(id);
+        remaining = Math.max(0, remaining - (Date.now() - startedAt));
+      }
+    });
+
+    return cancel;
+  }
+
+  // callback(time, delta) runs every animation frame. delta is in ms and
+  // restarts from 0 after a pause so simulations don't jump ahead.
+  loop(callback) {
+    let id = null;
+    let last = null;
+
+    const frame = (time) => {
+      // Schedule first so the callback can cancel its own loop
+      id = requestAnimationFrame(frame);
+      const delta = last === null ? 0 : time - last;
+      last = time;
+      callback(time, delta);
+    };
+
+    return this.add({
+      resume: () => {
+        last = null;
+        id = requestAnimationFrame(frame);
+      },
+      suspend: () => { cancelAnimationFrame(id); }
+    });
+  }
+
+  observe(observer, ...targets) {
+    targets.forEach(target => observer.observe(target));
+    return this.track(() => observer.disconnect());
+  }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    return this.track(() => target.removeEventListener(type, handler, options));
+  }
+
+  setPaused(paused) {
+    if (this.destroyed || paused === this.paused) return;
+
+    this.paused = paused;
+    this.effects.forEach(effect => (paused ? effect.suspend() : effect.resume()));
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    if (!this.paused) {
+      this.effects.forEach(effect => effect.suspend());
+    }
+    this.effects.clear();
+
+    this.disposers.forEach(dispose => dispose());
+    this.disposers.clear();
+    this.destroyed = true;
+  }
+}
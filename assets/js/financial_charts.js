@@ -0,0 +1,139 @@
+// Shared snapshot history and windowing helpers for the FinancialLive
+// Chart.js hooks (CryptoChart, StocksChart, VolumeChart)
+
+import { timeSeriesStore } from './time_series_store';
+
+// History only goes back to when the page started collecting it, so ranges
+// stop at a day; FinancialLive.Index offers the same list
+export const TIME_RANGES = {
+  '1H': 60 * 60 * 1000,
+  '6H': 6 * 60 * 60 * 1000,
+  '1D': 24 * 60 * 60 * 1000
+};
+
+// Every financial series keeps the longest range, at FinancialLive's push
+// interval of 5 seconds
+const SERIES_RETENTION = TIME_RANGES['1D'];
+const SERIES_CAPACITY = SERIES_RETENTION / 5000;
+
+// Snapshot values per asset go to the shared time-series store under
+// "financial.<kind>.<asset>", which bounds them to its ring buffer; these are
+// the fields charted for each kind
+const SERIES_FIELDS = {
+  crypto_prices: 'price',
+  stock_indices: 'price',
+  volume_data: 'volume'
+};
+
+// Latest raw snapshot per kind, for asset names and the reported 24h fields.
+// Module scope so it survives LiveView re-mounts within the session
+const latestSnapshots = {};
+const configuredKeys = new Set();
+
+function seriesKey(kind, name) {
+  const key = `financial.${kind}.${name}`;
+  if (!configuredKeys.has(key)) {
+    timeSeriesStore.configure(key, { capacity: SERIES_CAPACITY, retention: SERIES_RETENTION });
+    configuredKeys.add(key);
+  }
+  return key;
+}
+
+// [name, value] pairs of a snapshot: asset lists carry the value in a field,
+// volume data comes as parallel labels/data arrays
+function snapshotValues(kind, data) {
+  if (Array.isArray(data)) {
+    return data.map(asset => [asset.name, asset[SERIES_FIELDS[kind]]]);
+  }
+  return (data.labels || []).map((label, index) => [label, (data.data || [])[index]]);
+}
+
+// `pushId` identifies a server push (its timestamp) so a repeated delivery,
+// e.g. after a re-mount, is not stored twice
+export function recordSnapshot(kind, data, pushId = null) {
+  if (!data) return false;
+
+  const latest = latestSnapshots[kind];
+  if (pushId != null && latest && latest.pushId === pushId) return false;
+
+  const timestamp = Date.now();
+  latestSnapshots[kind] = { pushId, data };
+  snapshotValues(kind, data).forEach(([name, value]) => {
+    timeSeriesStore.push(seriesKey(kind, name), value, timestamp);
+  });
+
+  return true;
+}
+
+export function latestSnapshot(kind) {
+  const latest = latestSnapshots[kind];
+  return latest ? latest.data : null;
+}
+
+// Samples within the range for each asset in the latest snapshot, keyed by name
+export function windowSeries(kind, range) {
+  const latest = latestSnapshots[kind];
+  if (!latest) return {};
+
+  const series = {};
+  snapshotValues(kind, latest.data).forEach(([name]) => {
+    series[name] = timeSeriesStore.getSeries(seriesKey(kind, name), { window: TIME_RANGES[range] });
+  });
+  return series;
+}
+
+// Label describing how much of the requested range the history actually covers
+export function windowLabel(series, range) {
+  const span = TIME_RANGES[range];
+  const starts = Object.values(series)
+    .filter(points => points.length > 1)
+    .map(points => points[0].timestamp);
+  if (!span || starts.length === 0) return range;
+
+  const start = Math.min(...starts);
+  if (Date.now() - start >= span * 0.95) return range;
+
+  return `since ${new Date(start).toLocaleTimeString()}`;
+}
+
+// Percentage change per asset between the first and last sample of the window
+export function windowedChanges(series) {
+  const changes = {};
+
+  Object.entries(series).forEach(([name, points]) => {
+    if (points.length < 2 || !points[0].value) return;
+
+    const first = points[0].value;
+    changes[name] = ((points[points.length - 1].value - first) / first) * 100;
+  });
+
+  return changes;
+}
+
+// Mean value per asset over the window
+export function windowedAverages(series) {
+  const averages = {};
+
+  Object.entries(series).forEach(([name, points]) => {
+    if (points.length === 0) return;
+    averages[name] = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+  });
+
+  return averages;
+}
+
+export function withAlpha(color, alpha) {
+  const match = /rgba?\(([^,]+),([^,]+),([^,)]+)/.exec(color);
+  if (!match) return color;
+
+  return `rgba(${match[1].trim()}, ${match[2].trim()}, ${match[3].trim()}, ${alpha})`;
+}
+
+// Dim every entry except the highlighted asset; no highlight leaves colors as-is
+export function emphasize(labels, colors, asset, dimAlpha = 0.2) {
+  if (!asset || !labels.includes(asset)) return colors;
+
+  return labels.map((label, index) =>
+    label === asset ? colors[index] : withAlpha(colors[index], dimAlpha)
+  );
+}
@@ -0,0 +1,188 @@
+/**
+ * Drill-down side panel for the ProfessionalGauge hook
+ *
+ * Clicking a gauge opens one shared panel with that gauge's smoothed value
+ * over the last 24h or 7d, the 7d/30d baselines as dashed lines and the
+ * turning points flagged by InflectionDetector as markers. Data comes from a
+ * "gauge_history" pushEventTo round-trip to the gauge's LiveComponent, whose
+ * reply is:
+ *
+ *   { period, points: [[ms, value]], inflections: [[ms, value]],
+ *     baseline_7d, baseline_30d, range: [min, max] }
+ *
+ *   attachGaugeHistory(this, 'Global Sentiment');  // in mounted()
+ *   closeGaugeHistory(this);                        // in destroyed()
+ */
+
+import ApexCharts from 'apexcharts';
+
+export const HISTORY_PERIODS = ['24h', '7d'];
+
+const BASELINE_COLORS = {
+  baseline_7d: '#3b82f6',
+  baseline_30d: '#a855f7'
+};
+
+// Only one panel exists; it follows whichever gauge was clicked last
+let panel = null;
+
+// Opens the panel when the hook's element is clicked, or activated with
+// Enter/Space when focused
+export function attachGaugeHistory(hook, title) {
+  hook.el.style.cursor = 'pointer';
+  hook.el.addEventListener('click', () => openGaugeHistory(hook, title));
+  hook.el.addEventListener('keydown', event => {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+    event.preventDefault();
+    openGaugeHistory(hook, title);
+  });
+}
+
+export function openGaugeHistory(hook, title, period = HISTORY_PERIODS[0]) {
+  if (!panel) panel = createPanel();
+
+  panel.hook = hook;
+  panel.period = period;
+  panel.title.textContent = `${title} history`;
+  panel.element.classList.remove('translate-x-full');
+  panel.element.setAttribute('aria-hidden', 'false');
+  panel.close.focus();
+
+  loadHistory();
+}
+
+// With a hook, closes only if the panel is showing that hook's gauge
+export function closeGaugeHistory(hook = null) {
+  if (!panel || (hook && panel.hook !== hook)) return;
+
+  panel.hook = null;
+  panel.element.classList.add('translate-x-full');
+  panel.element.setAttribute('aria-hidden', 'true');
+}
+
+function createPanel() {
+  const element = document.createElement('aside');
+  element.className = 'fixed top-0 right-0 z-50 h-full w-full max-w-md bg-gray-900 border-l border-gray-700 shadow-2xl p-4 flex flex-col gap-3 text-gray-200 transition-transform duration-300 translate-x-full';
+  element.setAttribute('role', 'dialog');
+  element.setAttribute('aria-hidden', 'true');
+  element.innerHTML = `
+    <div class="flex items-center justify-between">
+      <h3 class="text-lg font-semibold" data-history-title></h3>
+      <button type="button" class="px-2 py-1 rounded bg-gray-800 hover:bg-gray-700" aria-label="Close history" data-history-close>✕</button>
+    </div>
+    <div class="flex items-center gap-2 text-xs">
+      ${HISTORY_PERIODS.map(period => `
+        <button type="button" class="px-2 py-1 rounded bg-gray-800 hover:bg-gray-700" data-history-period="${period}">${period}</button>
+      `).join('')}
+      <span class="ml-auto text-gray-400" data-history-status></span>
+    </div>
+    <div class="flex-1 min-h-0" data-history-chart></div>
+    <div class="flex flex-wrap gap-4 text-xs text-gray-400">
+      <span><span class="inline-block w-4 border-t-2 border-dashed align-middle mr-1" style="border-color: ${BASELINE_COLORS.baseline_7d}"></span>7d baseline</span>
+      <span><span class="inline-block w-4 border-t-2 border-dashed align-middle mr-1" style="border-color: ${BASELINE_COLORS.baseline_30d}"></span>30d baseline</span>
+      <span><span class="inline-block w-2 h-2 rounded-full bg-amber-400 align-middle mr-1"></span>Inflection point</span>
+    </div>
+  `;
+  document.body.appendChild(element);
+
+  const state = {
+    element,
+    title: element.querySelector('[data-history-title]'),
+    status: element.querySelector('[data-history-status]'),
+    close: element.querySelector('[data-history-close]'),
+    chartContainer: element.querySelector('[data-history-chart]'),
+    chart: null,
+    hook: null,
+    period: HISTORY_PERIODS[0]
+  };
+
+  state.close.addEventListener('click', () => closeGaugeHistory());
+  element.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeGaugeHistory();
+  });
+  element.querySelectorAll('[data-history-period]').forEach(button => {
+    button.addEventListener('click', () => {
+      state.period = button.dataset.historyPeriod;
+      loadHistory();
+    });
+  });
+
+  return state;
+}
+
+function loadHistory() {
+  const { hook, period } = panel;
+  if (!hook) return;
+
+  panel.element.querySelectorAll('[data-history-period]').forEach(button => {
+    const active = button.dataset.historyPeriod === period;
+    button.classList.toggle('bg-blue-600', active);
+    button.classList.toggle('bg-gray-800', !active);
+  });
+  panel.status.textContent = 'Loading…';
+
+  // pushEventTo the hook's element so the event reaches its LiveComponent
+  hook.pushEventTo(hook.el, 'gauge_history', { period }, reply => {
+    // Ignore replies for a gauge or period that is no longer shown
+    if (!panel || panel.hook !== hook || reply.period !== panel.period) return;
+    renderHistory(reply);
+  });
+}
+
+function renderHistory(history) {
+  const points = history.points || [];
+  panel.status.textContent = points.length === 0
+    ? 'No history recorded yet'
+    : `${points.length} points`;
+
+  const baselines = Object.entries(BASELINE_COLORS)
+    .filter(([key]) => Number.isFinite(history[key]))
+    .map(([key, color]) => ({
+      y: history[key],
+      borderColor: color,
+      strokeDashArray: 4,
+      label: {
+        text: key === 'baseline_7d' ? '7d' : '30d',
+        borderColor: color,
+        style: { color: '#fff', background: color }
+      }
+    }));
+
+  const inflections = (history.inflections || []).map(([x, y]) => ({
+    x,
+    y,
+    marker: { size: 5, fillColor: '#fbbf24', strokeColor: '#111827', strokeWidth: 2 }
+  }));
+
+  const [min, max] = history.range || [];
+  const options = {
+    chart: {
+      type: 'line',
+      height: '100%',
+      background: 'transparent',
+      foreColor: '#9ca3af',
+      toolbar: { show: false },
+      zoom: { enabled: false },
+      animations: { enabled: false }
+    },
+    theme: { mode: 'dark' },
+    series: [{ name: 'Smoothed value', data: points }],
+    stroke: { width: 2, curve: 'smooth' },
+    colors: ['#4facfe'],
+    grid: { borderColor: '#374151' },
+    xaxis: { type: 'datetime', labels: { datetimeUTC: false } },
+    yaxis: {
+      min: Number.isFinite(min) ? min : undefined,
+      max: Number.isFinite(max) ? max : undefined,
+      labels: { formatter: value => (Number.isFinite(value) ? value.toFixed(2) : '') }
+    },
+    tooltip: { theme: 'dark', x: { format: 'dd MMM HH:mm' } },
+    annotations: { yaxis: baselines, points: inflections },
+    noData: { text: 'No history recorded yet' }
+  };
+
+  // Recreate rather than update so annotations from the previous gauge go
+  if (panel.chart) panel.chart.destroy();
+  panel.chart = new ApexCharts(panel.chartContainer, options);
+  panel.chart.render();
+}
@@ -0,0 +1,124 @@
+/**
+ * Shared rendering for ProfessionalGauge instances
+ *
+ * Every gauge on the page draws through one offscreen WebGLRenderer and copies
+ * the frame onto its own 2D canvas, so a wall display full of gauges holds a
+ * single WebGL context. One animation loop drives all gauges, and gauges
+ * scrolled out of view (IntersectionObserver) are skipped until they return;
+ * with none on screen the loop stops entirely.
+ *
+ *   this.unregister = gaugeManager.register(this);   // calls this.animate()
+ *   gaugeManager.render(this.scene, this.camera, this.canvas, this.context);
+ *
+ * The renderer, loop and observer are created with the first gauge and torn
+ * down with the last.
+ */
+
+import * as THREE from 'three';
+import { EffectScheduler } from './effects_scheduler';
+
+export class GaugeManager {
+  constructor() {
+    // container element -> gauge
+    this.gauges = new Map();
+    this.visible = new Set();
+    this.renderer = null;
+  }
+
+  // Throws if WebGL is unavailable, so callers can fall back
+  register(gauge) {
+    if (this.gauges.size === 0) this.start();
+
+    this.gauges.set(gauge.container, gauge);
+    this.observer.observe(gauge.container);
+
+    return () => this.unregister(gauge);
+  }
+
+  unregister(gauge) {
+    if (this.gauges.get(gauge.container) !== gauge) return;
+
+    this.gauges.delete(gauge.container);
+    this.visible.delete(gauge);
+    this.observer.unobserve(gauge.container);
+
+    if (this.gauges.size === 0) {
+      this.stop();
+    } else {
+      this.syncLoop();
+    }
+  }
+
+  start() {
+    this.renderer = new THREE.WebGLRenderer({
+      antialias: true,
+      alpha: true,
+      powerPreference: "high-performance"
+    });
+    // Gauge canvases apply their own pixel ratio
+    this.renderer.setPixelRatio(1);
+    this.renderer.shadowMap.enabled = true;
+    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    this.renderer.toneMappingExposure = 1.2;
+    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+
+    this.effects = new EffectScheduler();
+    this.stopLoop = null;
+    this.observer = new IntersectionObserver(entries => this.handleIntersection(entries));
+    this.effects.track(() => this.observer.disconnect());
+  }
+
+  stop() {
+    this.effects.destroy();
+    this.renderer.dispose();
+    this.renderer = null;
+    this.observer = null;
+    this.stopLoop = null;
+  }
+
+  handleIntersection(entries) {
+    entries.forEach(entry => {
+      const gauge = this.gauges.get(entry.target);
+      if (!gauge) return;
+
+      if (entry.isIntersecting) {
+        this.visible.add(gauge);
+      } else {
+        this.visible.delete(gauge);
+      }
+    });
+
+    this.syncLoop();
+  }
+
+  // Run the shared loop only while at least one gauge is on screen
+  syncLoop() {
+    if (this.visible.size > 0 && !this.stopLoop) {
+      this.stopLoop = this.effects.loop(() => {
+        this.visible.forEach(gauge => gauge.animate());
+      });
+    } else if (this.visible.size === 0 && this.stopLoop) {
+      this.stopLoop();
+      this.stopLoop = null;
+    }
+  }
+
+  // Draws the scene at the canvas's size and copies it out before the next
+  // gauge reuses the drawing buffer
+  render(scene, camera, canvas, context) {
+    const { width, height } = canvas;
+    if (!this.renderer || width === 0 || height === 0) return;
+
+    const source = this.renderer.domElement;
+    if (source.width !== width || source.height !== height) {
+      this.renderer.setSize(width, height, false);
+    }
+
+    this.renderer.render(scene, camera);
+    context.clearRect(0, 0, width, height);
+    context.drawImage(source, 0, 0, width, height);
+  }
+}
+
+export const gaugeManager = new GaugeManager();
@@ -0,0 +1,71 @@
+// Southward IMF alerts for the IMF panel
+//
+// A sustained southward (negative) Bz couples the solar wind into the
+// magnetosphere and is the main short-term storm precursor. The watch tracks
+// how long Bz has stayed at or below the threshold up to the latest reading;
+// once that reaches the configured minutes it goes active, and the panel
+// raises one alert per episode. The state is also broadcast on window as
+// IMF_ALERT_EVENT so other hooks (SolarWindAnimation) can follow it. Settings
+// are kept per browser in localStorage.
+
+const STORAGE_KEY = 'globalPulse.imfAlerts'
+
+export const IMF_ALERT_EVENT = 'imf:southward'
+
+export const DEFAULT_IMF_ALERT_SETTINGS = {
+  enabled: false,
+  // nT
+  threshold: -10,
+  minutes: 30
+}
+
+export function loadImfAlertSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    return { ...DEFAULT_IMF_ALERT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) }
+  } catch (error) {
+    console.warn('Could not read IMF alert settings:', error)
+    return { ...DEFAULT_IMF_ALERT_SETTINGS }
+  }
+}
+
+export function saveImfAlertSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (error) {
+    console.warn('Could not save IMF alert settings:', error)
+  }
+}
+
+// Milliseconds Bz has been at or below the threshold, ending at the latest
+// reading of a {time: Date, bz} series ordered oldest first
+export function southwardDuration(series, threshold) {
+  let start = null
+  for (let i = series.length - 1; i >= 0 && series[i].bz <= threshold; i--) {
+    start = series[i].time
+  }
+  return start === null ? 0 : series[series.length - 1].time - start
+}
+
+export class SouthwardWatch {
+  constructor(settings = DEFAULT_IMF_ALERT_SETTINGS) {
+    this.settings = settings
+    this.active = false
+    this.duration = 0
+    this.evaluated = false
+  }
+
+  // Re-evaluates against the series; true when an episode has just started.
+  // The first evaluation is only a baseline, so reloading the page during an
+  // episode does not alert again
+  update(series) {
+    const wasActive = this.active
+    const baseline = !this.evaluated
+
+    this.duration = southwardDuration(series, this.settings.threshold)
+    this.active = series.length > 0 && this.duration >= this.settings.minutes * 60 * 1000
+    this.evaluated = true
+
+    return this.active && !wasActive && !baseline
+  }
+}
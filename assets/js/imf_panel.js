@@ -0,0 +1,269 @@
+import * as d3 from 'd3'
+import { EffectScheduler } from './effects_scheduler'
+import { notificationsSupported, requestNotificationPermission } from './earthquake_alerts'
+import {
+  IMF_ALERT_EVENT,
+  SouthwardWatch,
+  loadImfAlertSettings,
+  saveImfAlertSettings
+} from './imf_alerts'
+
+// Bz (GSM) and Bt of the interplanetary magnetic field from data-imf-history,
+// a JSON list of {time, bz, bt} oldest first. Southward (negative) Bz periods
+// are shaded and the alert threshold is drawn as a dashed line; the alert
+// settings live in the container named by data-alert-controls.
+const MARGIN = { top: 14, right: 8, bottom: 16, left: 28 }
+const BZ_COLOR = '#38bdf8'
+const BT_COLOR = '#9ca3af'
+const SOUTHWARD_COLOR = '#ef4444'
+
+function parseHistory(json) {
+  try {
+    return JSON.parse(json || '[]')
+      .map(d => ({ time: new Date(d.time), bz: Number(d.bz), bt: Number(d.bt) }))
+      .filter(d => !isNaN(d.time) && Number.isFinite(d.bz) && Number.isFinite(d.bt))
+  } catch (error) {
+    console.error('Invalid IMF history:', error)
+    return []
+  }
+}
+
+// Contiguous runs of negative Bz as [start, end] times
+function southwardPeriods(series) {
+  const periods = []
+  let start = null
+
+  series.forEach((d, i) => {
+    if (d.bz < 0 && start === null) start = d.time
+    const ends = d.bz >= 0 || i === series.length - 1
+    if (start !== null && ends) {
+      periods.push([start, d.time])
+      start = null
+    }
+  })
+
+  return periods
+}
+
+export const IMFPanel = {
+  mounted() {
+    this.effects = new EffectScheduler()
+    this.watch = new SouthwardWatch(loadImfAlertSettings())
+    this.initializeChart()
+    this.setupAlerts()
+    this.update()
+  },
+
+  updated() {
+    this.update()
+  },
+
+  destroyed() {
+    this.effects.destroy()
+    window.dispatchEvent(new CustomEvent(IMF_ALERT_EVENT, { detail: { active: false } }))
+  },
+
+  initializeChart() {
+    this.width = this.el.clientWidth || 320
+    this.height = this.el.clientHeight || 128
+
+    this.svg = d3.select(this.el)
+      .append('svg')
+      .attr('width', this.width)
+      .attr('height', this.height)
+      .style('display', 'block')
+
+    this.svg.append('rect')
+      .attr('width', this.width)
+      .attr('height', this.height)
+      .attr('fill', '#1a1a1a')
+      .attr('stroke', '#333')
+      .attr('rx', 2)
+
+    this.plot = this.svg.append('g')
+      .attr('transform', `translate(${MARGIN.left}, ${MARGIN.top})`)
+    this.plotWidth = Math.max(0, this.width - MARGIN.left - MARGIN.right)
+    this.plotHeight = Math.max(0, this.height - MARGIN.top - MARGIN.bottom)
+
+    this.shading = this.plot.append('g').attr('class', 'imf-southward')
+    this.yAxis = this.plot.append('g').attr('class', 'imf-y-axis')
+    this.xAxis = this.plot.append('g')
+      .attr('class', 'imf-x-axis')
+      .attr('transform', `translate(0, ${this.plotHeight})`)
+    this.zeroLine = this.plot.append('line')
+      .attr('x1', 0)
+      .attr('x2', this.plotWidth)
+      .attr('stroke', '#555')
+    this.thresholdLine = this.plot.append('line')
+      .attr('x1', 0)
+      .attr('x2', this.plotWidth)
+      .attr('stroke', '#facc15')
+      .attr('stroke-dasharray', '4,3')
+    this.thresholdLine.append('title')
+    this.btLine = this.plot.append('path')
+      .attr('fill', 'none')
+      .attr('stroke', BT_COLOR)
+      .attr('stroke-width', 1)
+    this.bzLine = this.plot.append('path')
+      .attr('fill', 'none')
+      .attr('stroke', BZ_COLOR)
+      .attr('stroke-width', 1.5)
+
+    // Legend on the left, latest values on the right
+    this.svg.append('text')
+      .attr('x', MARGIN.left)
+      .attr('y', 10)
+      .attr('font-size', '9px')
+      .call(text => {
+        text.append('tspan').attr('fill', BZ_COLOR).text('Bz')
+        text.append('tspan').attr('fill', BT_COLOR).attr('dx', 6).text('Bt')
+        text.append('tspan').attr('fill', SOUTHWARD_COLOR).attr('dx', 6).text('southward')
+      })
+    this.latestLabel = this.svg.append('text')
+      .attr('x', this.width - MARGIN.right)
+      .attr('y', 10)
+      .attr('text-anchor', 'end')
+      .attr('fill', '#d1d5db')
+      .attr('font-size', '9px')
+  },
+
+  update() {
+    this.history = parseHistory(this.el.dataset.imfHistory)
+    this.renderChart()
+    this.evaluateAlert()
+  },
+
+  renderChart() {
+    const history = this.history
+    if (this.plotWidth < 20 || this.plotHeight < 20) return
+
+    if (history.length === 0) {
+      this.latestLabel.text('No IMF data')
+      this.shading.selectAll('rect').remove()
+      this.bzLine.attr('d', null)
+      this.btLine.attr('d', null)
+      return
+    }
+
+    const threshold = this.watch.settings.threshold
+    const extent = Math.max(10, Math.abs(threshold), d3.max(history, d => Math.max(d.bt, Math.abs(d.bz))))
+    const x = d3.scaleTime()
+      .domain(d3.extent(history, d => d.time))
+      .range([0, this.plotWidth])
+    const y = d3.scaleLinear()
+      .domain([-extent, extent])
+      .range([this.plotHeight, 0])
+      .nice()
+
+    this.shading.selectAll('rect')
+      .data(southwardPeriods(history))
+      .join('rect')
+      .attr('x', d => x(d[0]))
+      .attr('width', d => Math.max(1, x(d[1]) - x(d[0])))
+      .attr('y', y(0))
+      .attr('height', this.plotHeight - y(0))
+      .attr('fill', SOUTHWARD_COLOR)
+      .attr('fill-opacity', 0.15)
+
+    this.yAxis
+      .call(d3.axisLeft(y).ticks(4).tickSize(3))
+      .call(axis => axis.select('.domain').remove())
+      .selectAll('text')
+      .attr('fill', '#999')
+      .attr('font-size', '8px')
+    this.xAxis
+      .call(d3.axisBottom(x).ticks(6).tickSize(3).tickFormat(d3.timeFormat('%H:%M')))
+      .call(axis => axis.select('.domain').attr('stroke', '#555'))
+      .selectAll('text')
+      .attr('fill', '#999')
+      .attr('font-size', '8px')
+
+    this.zeroLine.attr('y1', y(0)).attr('y2', y(0))
+    this.thresholdLine
+      .attr('y1', y(threshold))
+      .attr('y2', y(threshold))
+      .select('title')
+      .text(`Alert threshold: Bz ≤ ${threshold} nT for ${this.watch.settings.minutes} min`)
+
+    this.btLine.attr('d', d3.line().x(d => x(d.time)).y(d => y(d.bt))(history))
+    this.bzLine.attr('d', d3.line().x(d => x(d.time)).y(d => y(d.bz))(history))
+
+    const latest = history[history.length - 1]
+    this.latestLabel.text(`Bz ${latest.bz.toFixed(1)} nT · Bt ${latest.bt.toFixed(1)} nT`)
+  },
+
+  setupAlerts() {
+    this.alertControls = document.getElementById(this.el.dataset.alertControls)
+    const controls = this.alertControls
+    if (!controls) return
+
+    const settings = this.watch.settings
+    const input = selector => controls.querySelector(selector) || {}
+    input('[data-alert-enabled]').checked = settings.enabled
+    input('[data-alert-threshold]').value = settings.threshold
+    input('[data-alert-minutes]').value = settings.minutes
+
+    controls.querySelectorAll('input').forEach(element => {
+      this.effects.listen(element, 'change', () => this.readAlertControls())
+    })
+  },
+
+  readAlertControls() {
+    const controls = this.alertControls
+    const input = selector => controls.querySelector(selector) || {}
+    const threshold = parseFloat(input('[data-alert-threshold]').value)
+    const minutes = parseFloat(input('[data-alert-minutes]').value)
+    const previous = this.watch.settings
+
+    this.watch.settings = {
+      enabled: Boolean(input('[data-alert-enabled]').checked),
+      threshold: Number.isFinite(threshold) ? threshold : previous.threshold,
+      minutes: Number.isFinite(minutes) && minutes > 0 ? minutes : previous.minutes
+    }
+    saveImfAlertSettings(this.watch.settings)
+
+    // Needs a user gesture, and this runs from one
+    if (this.watch.settings.enabled && notificationsSupported() && Notification.permission === 'default') {
+      requestNotificationPermission(() => this.syncAlertStatus())
+    }
+
+    this.renderChart()
+    this.evaluateAlert()
+  },
+
+  evaluateAlert() {
+    const started = this.watch.update(this.history)
+
+    window.dispatchEvent(new CustomEvent(IMF_ALERT_EVENT, {
+      detail: { active: this.watch.active, duration: this.watch.duration }
+    }))
+
+    if (started && this.watch.settings.enabled) this.notify()
+    this.syncAlertStatus()
+  },
+
+  notify() {
+    if (!notificationsSupported() || Notification.permission !== 'granted') return
+
+    const { threshold } = this.watch.settings
+    const latest = this.history[this.history.length - 1]
+    const minutes = Math.round(this.watch.duration / 60000)
+    new Notification(`Southward IMF: Bz ${latest.bz.toFixed(1)} nT`, {
+      body: `Bz has stayed at or below ${threshold} nT for ${minutes} min; geomagnetic storm conditions are likely`,
+      tag: 'global-pulse-imf'
+    })
+  },
+
+  syncAlertStatus() {
+    const status = this.alertControls && this.alertControls.querySelector('[data-alert-status]')
+    if (!status) return
+
+    if (this.watch.active) {
+      status.textContent = `⚠️ Bz ≤ ${this.watch.settings.threshold} nT for ${Math.round(this.watch.duration / 60000)} min`
+    } else if (this.watch.settings.enabled && notificationsSupported() && Notification.permission === 'denied') {
+      status.textContent = 'Notifications are blocked in this browser'
+    } else {
+      status.textContent = ''
+    }
+  }
+}
@@ -1,24 +1,48 @@
 import * as d3 from 'd3'
+import { NOAA_SCALES, SCALE_COLORS, scaleInfo, scaleLevel, readScales, drawScaleBadges } from './space_weather_scales'
+
+// Scale bar on the left, then a strip of 3-hourly Kp bars: the last 72h from
+// data-kp-history and, dashed, the forecast from data-kp-forecast. Both are
+// JSON lists of {time, kp}, oldest first.
+const BAR_WIDTH = 48
+const HEIGHT = 96
+const CHART_LEFT = BAR_WIDTH + 6
+const SLOT = 3 * 60 * 60 * 1000
+
+// Also used by AuroraMap for the forecast view line
+export function parseKpSeries(json) {
+  try {
+    return JSON.parse(json || '[]')
+      .map(d => ({ time: new Date(d.time), kp: Number(d.kp) }))
+      .filter(d => !isNaN(d.time) && Number.isFinite(d.kp))
+  } catch (error) {
+    console.error('Invalid Kp series:', error)
+    return []
+  }
+}
 
 export const KPIntensityBar = {
   mounted() {
     this.initializeBar()
     this.updateIndicator()
+    this.updateHistory()
   },
 
   updated() {
     this.updateIndicator()
+    this.updateHistory()
   },
 
   initializeBar() {
-    const width = 48
-    const height = 96
+    const width = BAR_WIDTH
+    const height = HEIGHT
+    this.chartWidth = Math.max(0, (this.el.clientWidth || width) - CHART_LEFT)
     
     // Create SVG
     this.svg = d3.select(this.el)
       .append('svg')
-      .attr('width', width)
-      .attr('height', height)
+      .attr('width', CHART_LEFT + this.chartWidth)
+      .attr('height', height + 14)
       .style('display', 'block')
     
     // Create gradient
@@ -30,17 +54,12 @@ export const KPIntensityBar = {
       .attr('x2', '0%')
       .attr('y2', '0%')
     
-    // KP scale colors (0-9)
-    const colors = [
-      { offset: '0%', color: '#009900' },     // 0 - Extremely quiet
-      { offset: '22%', color: '#00ff00' },    // 2 - Quiet
-      { offset: '44%', color: '#ffff00' },    // 4 - Active
-      { offset: '56%', color: '#ffcc00' },    // 5 - Minor storm
-      { offset: '67%', color: '#ff9900' },    // 6 - Moderate storm
-      { offset: '78%', color: '#ff6600' },    // 7 - Strong storm
-      { offset: '89%', color: '#ff3300' },    // 8 - Severe storm
-      { offset: '100%', color: '#ff0000' }    // 9 - Extreme storm
-    ]
+    // NOAA G-scale colors, quiet at Kp 0 up to G5 at Kp 9
+    const thresholds = NOAA_SCALES.G.thresholds
+    const colors = [0, ...thresholds].map((kp, level) => ({
+      offset: `${(kp / 9) * 100}%`,
+      color: SCALE_COLORS[level]
+    }))
     
     colors.forEach(stop => {
       gradient.append('stop')
@@ -68,6 +87,22 @@ export const KPIntensityBar = {
       .attr('opacity', 0.8)
       .attr('rx', 2)
     
+    // One transparent band per G level, for its tooltip
+    const bands = [0, ...thresholds]
+      .map((lower, level) => ({ lower, upper: level < thresholds.length ? thresholds[level] : 9, level }))
+      .filter(band => band.upper > band.lower)
+    this.svg.append('g')
+      .selectAll('rect')
+      .data(bands)
+      .join('rect')
+      .attr('x', 0)
+      .attr('y', d => height - (d.upper / 9) * height)
+      .attr('width', width)
+      .attr('height', d => ((d.upper - d.lower) / 9) * height)
+      .attr('fill', 'transparent')
+      .append('title')
+      .text(d => `Kp ${d.lower}–${d.upper}: ${scaleInfo('G', d.level).title}`)
+    
     // Scale marks
     for (let kp = 0; kp <= 9; kp += 3) {
       const y = height - (kp / 9) * height
@@ -90,14 +125,50 @@ export const KPIntensityBar = {
         .text(kp)
     }
     
-    // Title
+    // Title and current G-scale badge
     this.svg.append('text')
-      .attr('x', width / 2)
+      .attr('x', 10)
       .attr('y', height + 12)
       .attr('text-anchor', 'middle')
       .attr('fill', '#999')
       .attr('font-size', '10px')
       .text('KP')
+    this.badges = this.svg.append('g')
+      .attr('transform', `translate(${width - 24}, ${height + 2})`)
+    
+    // History and forecast strip
+    this.chart = this.svg.append('g')
+      .attr('class', 'kp-history')
+      .attr('transform', `translate(${CHART_LEFT}, 0)`)
+    this.chart.append('rect')
+      .attr('width', this.chartWidth)
+      .attr('height', height)
+      .attr('fill', '#1a1a1a')
+      .attr('stroke', '#333')
+      .attr('rx', 2)
+    
+    // G1 storm threshold
+    this.chart.append('line')
+      .attr('x1', 0)
+      .attr('x2', this.chartWidth)
+      .attr('y1', height - (5 / 9) * height)
+      .attr('y2', height - (5 / 9) * height)
+      .attr('stroke', '#555')
+      .attr('stroke-dasharray', '2,2')
+    
+    this.historyBars = this.chart.append('g')
+    this.forecastBars = this.chart.append('g')
+    this.nowLine = this.chart.append('line')
+      .attr('y1', 0)
+      .attr('y2', height)
+      .attr('stroke', '#ffffff')
+      .attr('stroke-opacity', 0.5)
+    this.trendLabel = this.chart.append('text')
+      .attr('x', this.chartWidth)
+      .attr('y', height + 12)
+      .attr('text-anchor', 'end')
+      .attr('fill', '#999')
+      .attr('font-size', '10px')
     
     // Indicator group
     this.indicator = this.svg.append('g')
@@ -128,6 +199,8 @@ export const KPIntensityBar = {
       const height = 96
       const y = height - (kpIndex / 9) * height
       
+      drawScaleBadges(this.badges, readScales(this.el), { scales: ['G'] })
+      
       // Animate indicator to new position
       this.indicatorLine
         .transition()
@@ -142,5 +215,84 @@ export const KPIntensityBar = {
     } catch (error) {
       console.error('Error updating KP indicator:', error)
     }
+  },
+
+  updateHistory() {
+    if (!this.chart || this.chartWidth < 20) return
+
+    const history = parseKpSeries(this.el.dataset.kpHistory)
+    const forecast = parseKpSeries(this.el.dataset.kpForecast)
+    const all = history.concat(forecast)
+
+    if (all.length === 0) {
+      this.trendLabel.text('No Kp history')
+      this.nowLine.attr('display', 'none')
+      return
+    }
+
+    const x = d3.scaleTime()
+      .domain([all[0].time, new Date(all[all.length - 1].time.getTime() + SLOT)])
+      .range([1, this.chartWidth - 1])
+    const y = kp => HEIGHT - (Math.min(9, Math.max(0, kp)) / 9) * HEIGHT
+    const barWidth = d => Math.max(1, x(new Date(d.time.getTime() + SLOT)) - x(d.time) - 1)
+    const color = d => SCALE_COLORS[scaleLevel('G', d.kp)]
+    const title = (d, kind) => {
+      const info = scaleInfo('G', scaleLevel('G', d.kp))
+      return `${kind} ${d3.timeFormat('%b %d %H:%M')(d.time)}: Kp ${d.kp.toFixed(1)} (${info.code} ${info.label})`
+    }
+
+    this.historyBars.selectAll('rect')
+      .data(history)
+      .join(enter => enter.append('rect').call(rect => rect.append('title')))
+      .attr('x', d => x(d.time))
+      .attr('width', barWidth)
+      .attr('y', d => y(d.kp))
+      .attr('height', d => HEIGHT - y(d.kp))
+      .attr('fill', color)
+      .select('title')
+      .text(d => title(d, 'Observed'))
+
+    this.forecastBars.selectAll('rect')
+      .data(forecast)
+      .join(enter => enter.append('rect').call(rect => rect.append('title')))
+      .attr('x', d => x(d.time))
+      .attr('width', barWidth)
+      .attr('y', d => y(d.kp))
+      .attr('height', d => HEIGHT - y(d.kp))
+      .attr('fill', color)
+      .attr('fill-opacity', 0.25)
+      .attr('stroke', color)
+      .attr('stroke-dasharray', '2,1')
+      .select('title')
+      .text(d => title(d, 'Forecast'))
+
+    const now = forecast.length > 0 ? forecast[0].time : x.domain()[1]
+    this.nowLine
+      .attr('display', null)
+      .attr('x1', x(now))
+      .attr('x2', x(now))
+
+    this.trendLabel.text(this.trendText(history, forecast))
+  },
+
+  // Compares the latest 9 hours with the 9 hours before, and previews the
+  // forecast peak
+  trendText(history, forecast) {
+    const mean = values => d3.mean(values, d => d.kp)
+    const recent = mean(history.slice(-3))
+    const previous = mean(history.slice(-6, -3))
+    const parts = []
+
+    if (recent !== undefined && previous !== undefined) {
+      const change = recent - previous
+      parts.push(change > 0.5 ? '▲ rising' : change < -0.5 ? '▼ falling' : '▶ steady')
+    }
+
+    const peak = d3.max(forecast, d => d.kp)
+    if (peak !== undefined) {
+      parts.push(`3d max Kp ${peak.toFixed(1)} (G${scaleLevel('G', peak)})`)
+    }
+
+    return parts.join(' · ')
   }
 }
\ No newline at end of file
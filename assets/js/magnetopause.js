@@ -0,0 +1,60 @@
+// Magnetopause and bow shock geometry from upstream solar wind conditions
+//
+// The magnetopause follows Shue et al. (1998): the subsolar standoff r0 and
+// the tail flaring alpha depend on the solar wind dynamic pressure Dp and the
+// IMF Bz, and the surface is r(θ) = r0 (2 / (1 + cos θ))^alpha, with θ measured
+// from the Sun–Earth line. The bow shock sits ahead of it by the high-Mach
+// gasdynamic ratio (Spreiter et al., 1966). Distances are in Earth radii (RE).
+
+// Proton mass × (km/s)² × cm⁻³ in nPa
+const PRESSURE_FACTOR = 1.6726e-6
+const GAMMA = 5 / 3
+
+// Quiet-time fallbacks for missing readings. A speed or density of zero or
+// below is a missing reading too: the pressure would be zero and the standoff
+// infinite
+const DEFAULTS = { speed: 400, density: 5, bz: 0 }
+
+function finite(value, fallback) {
+  const number = Number(value)
+  return Number.isFinite(number) ? number : fallback
+}
+
+function positive(value, fallback) {
+  const number = finite(value, fallback)
+  return number > 0 ? number : fallback
+}
+
+// Solar wind dynamic pressure in nPa from speed (km/s) and density (cm⁻³)
+export function dynamicPressure(speed, density) {
+  return PRESSURE_FACTOR * Math.max(0.1, density) * speed * speed
+}
+
+export function shueStandoff(pressure, bz) {
+  return (10.22 + 1.29 * Math.tanh(0.184 * (bz + 8.14))) * Math.pow(pressure, -1 / 6.6)
+}
+
+export function shueFlaring(pressure, bz) {
+  return (0.58 - 0.007 * bz) * (1 + 0.024 * Math.log(pressure))
+}
+
+export function magnetopauseModel({ speed, density, bz } = {}) {
+  const inputs = {
+    speed: positive(speed, DEFAULTS.speed),
+    density: positive(density, DEFAULTS.density),
+    bz: finite(bz, DEFAULTS.bz)
+  }
+  const pressure = dynamicPressure(inputs.speed, inputs.density)
+  const standoff = shueStandoff(pressure, inputs.bz)
+  const alpha = shueFlaring(pressure, inputs.bz)
+
+  return {
+    ...inputs,
+    pressure,
+    standoff,
+    alpha,
+    bowShockStandoff: standoff * (1 + 1.1 * (GAMMA - 1) / (GAMMA + 1)),
+    // Surface distance at angle θ (radians) from the subsolar point
+    radius: theta => standoff * Math.pow(2 / (1 + Math.cos(theta)), alpha)
+  }
+}
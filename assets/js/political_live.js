@@ -1,9 +1,16 @@
 // Political Live Feed JavaScript Enhancements
 
+import { classifyFeed } from './breaking_news';
+import { EffectScheduler } from './effects_scheduler';
+import { loadSeen, markSeen } from './seen_articles';
+
 export const PoliticalLive = {
   mounted() {
+    this.effects = new EffectScheduler();
+
     this.initializeLiveEffects();
     this.setupAutoScroll();
+    this.setupReadTracking();
     
     // Add glitch effect to live indicators
     this.addGlitchEffect();
@@ -18,6 +25,12 @@ export const PoliticalLive = {
   updated() {
     // Re-apply effects when content updates
     this.animateNewContent();
+    this.updateBreakingTags();
+    this.applyReadState();
+  },
+
+  destroyed() {
+    this.effects.destroy();
   },
 
   initializeLiveEffects() {
@@ -37,56 +50,156 @@ export const PoliticalLive = {
   setupAutoScroll() {
     // Continuous auto-scroll news feed like a live ticker
     const newsFeed = this.el.querySelector('[data-news-feed]');
-    if (newsFeed) {
-      this.startContinuousScroll(newsFeed);
-      
-      // Pause scrolling on hover
-      newsFeed.addEventListener('mouseenter', () => {
-        this.pauseScroll = true;
-      });
-      
-      newsFeed.addEventListener('mouseleave', () => {
-        this.pauseScroll = false;
-      });
+    if (!newsFeed) return;
+
+    this.newsFeed = newsFeed;
+    this.userPaused = false;
+    this.hoverPaused = false;
+
+    // Reduced-motion users never get auto-scroll
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.effects.listen(this.reducedMotion, 'change', () => this.updateTickerControl());
+
+    // Pause scrolling on hover and while keyboard focus is inside the feed
+    newsFeed.addEventListener('mouseenter', () => { this.hoverPaused = true; });
+    newsFeed.addEventListener('mouseleave', () => { this.hoverPaused = false; });
+    newsFeed.addEventListener('focusin', () => { this.hoverPaused = true; });
+    newsFeed.addEventListener('focusout', () => { this.hoverPaused = false; });
+
+    // A touch means the reader wants to stop; they resume with the control
+    newsFeed.addEventListener('touchstart', () => this.setTickerPaused(true), { passive: true });
+
+    const toggle = this.el.querySelector('[data-ticker-toggle]');
+    if (toggle) {
+      toggle.addEventListener('click', () => this.setTickerPaused(!this.userPaused));
     }
+
+    this.updateTickerControl();
+    this.startContinuousScroll(newsFeed);
+  },
+
+  isScrollPaused() {
+    return this.userPaused || this.hoverPaused || (this.reducedMotion && this.reducedMotion.matches);
+  },
+
+  setTickerPaused(paused) {
+    this.userPaused = paused;
+    this.updateTickerControl();
+  },
+
+  updateTickerControl() {
+    const toggle = this.el.querySelector('[data-ticker-toggle]');
+    if (!toggle) return;
+
+    const reduced = this.reducedMotion && this.reducedMotion.matches;
+    const paused = this.userPaused || reduced;
+
+    toggle.disabled = reduced;
+    toggle.setAttribute('aria-pressed', paused ? 'true' : 'false');
+    toggle.setAttribute('aria-label', paused ? 'Resume auto-scroll' : 'Pause auto-scroll');
+    toggle.textContent = reduced ? '⏸ Auto-scroll off' : paused ? '▶ Play' : '⏸ Pause';
   },
 
   startContinuousScroll(element) {
-    this.pauseScroll = false;
     this.scrollSpeed = 1; // pixels per frame
+    this.rewinding = false;
     
-    const scroll = () => {
-      if (!this.pauseScroll && element) {
-        element.scrollTop += this.scrollSpeed;
-        
-        // If we've scrolled to the bottom, smoothly scroll back to top
-        if (element.scrollTop >= element.scrollHeight - element.clientHeight) {
-          setTimeout(() => {
-            element.scrollTo({
-              top: 0,
-              behavior: 'smooth'
-            });
-          }, 2000); // Wait 2 seconds at bottom
-        }
-      }
+    this.effects.loop(() => {
+      if (this.isScrollPaused() || this.rewinding) return;
+
+      element.scrollTop += this.scrollSpeed;
       
-      if (element && element.isConnected) {
-        requestAnimationFrame(scroll);
+      // If we've scrolled to the bottom, smoothly scroll back to top
+      if (element.scrollTop >= element.scrollHeight - element.clientHeight) {
+        this.rewinding = true;
+        this.effects.timeout(() => {
+          element.scrollTo({
+            top: 0,
+            behavior: 'smooth'
+          });
+          this.rewinding = false;
+        }, 2000); // Wait 2 seconds at bottom
+      }
+    });
+  },
+
+  setupReadTracking() {
+    this.seen = loadSeen();
+
+    // j/k move between headlines; anything typed into a field is ignored
+    this.handleKeydown = (event) => {
+      if (event.metaKey || event.ctrlKey || event.altKey) return;
+      if (event.target.closest('input, textarea, select, [contenteditable]')) return;
+
+      if (event.key === 'j' || event.key === 'k') {
+        event.preventDefault();
+        this.moveSelection(event.key === 'j' ? 1 : -1);
       }
     };
-    
-    // Start scrolling
-    requestAnimationFrame(scroll);
+    this.effects.listen(window, 'keydown', this.handleKeydown);
+
+    // Clicking or activating an article counts as reading it
+    this.el.addEventListener('click', (event) => {
+      const article = event.target.closest('[data-article]');
+      if (article) this.markArticleSeen(article);
+    });
+
+    this.applyReadState();
+  },
+
+  articles() {
+    return Array.from(this.el.querySelectorAll('[data-news-feed] [data-article]'));
+  },
+
+  moveSelection(step) {
+    const articles = this.articles();
+    if (articles.length === 0) return;
+
+    const current = articles.indexOf(document.activeElement);
+    const next = current === -1
+      ? (step > 0 ? 0 : articles.length - 1)
+      : Math.max(0, Math.min(articles.length - 1, current + step));
+
+    // Keyboard navigation takes over from the ticker
+    this.setTickerPaused(true);
+
+    const article = articles[next];
+    article.focus({ preventScroll: true });
+    article.scrollIntoView({ block: 'nearest', behavior: this.reducedMotion && this.reducedMotion.matches ? 'auto' : 'smooth' });
+    this.markArticleSeen(article);
+  },
+
+  markArticleSeen(article) {
+    this.seen = markSeen(this.seen, article.dataset.articleId);
+    this.applyReadState();
+  },
+
+  applyReadState() {
+    if (!this.seen) return;
+
+    let unread = 0;
+    this.articles().forEach(article => {
+      const seen = Boolean(this.seen[article.dataset.articleId]);
+      article.classList.toggle('opacity-50', seen);
+      article.toggleAttribute('data-seen', seen);
+      if (!seen) unread++;
+    });
+
+    const badge = this.el.querySelector('[data-unread-badge]');
+    if (badge) {
+      badge.textContent = `${unread} unread`;
+      badge.classList.toggle('hidden', unread === 0);
+    }
   },
 
   addGlitchEffect() {
     // Add subtle glitch effect to live elements
     const liveElements = this.el.querySelectorAll('[data-live]');
     liveElements.forEach(el => {
-      setInterval(() => {
+      this.effects.interval(() => {
         if (Math.random() < 0.1) { // 10% chance every interval
           el.style.textShadow = '2px 0 #ff0000, -2px 0 #00ff00';
-          setTimeout(() => {
+          this.effects.timeout(() => {
             el.style.textShadow = 'none';
           }, 100);
         }
@@ -102,7 +215,7 @@ export const PoliticalLive = {
       headline.textContent = '';
       
       // Stagger the typing effect
-      setTimeout(() => {
+      this.effects.timeout(() => {
         this.typeText(headline, text, 30);
       }, index * 200);
     });
@@ -110,12 +223,12 @@ export const PoliticalLive = {
 
   typeText(element, text, speed) {
     let i = 0;
-    const timer = setInterval(() => {
+    const stop = this.effects.interval(() => {
       if (i < text.length) {
         element.textContent += text.charAt(i);
         i++;
       } else {
-        clearInterval(timer);
+        stop();
       }
     }, speed);
   },
@@ -134,31 +247,11 @@ export const PoliticalLive = {
   // Audio notification removed - no more beeping
 
   startNewsTickerEffect() {
-    // Add dynamic "BREAKING" and "URGENT" tags to random articles
-    setInterval(() => {
-      const articles = this.el.querySelectorAll('[data-headline]');
-      if (articles.length > 0) {
-        // Remove old breaking tags
-        this.el.querySelectorAll('.breaking-tag').forEach(tag => tag.remove());
-        
-        // Add breaking tag to random article
-        const randomArticle = articles[Math.floor(Math.random() * articles.length)];
-        const breakingTag = document.createElement('span');
-        breakingTag.className = 'breaking-tag text-xs bg-red-600 text-white px-2 py-1 rounded-full animate-pulse mr-2 font-bold';
-        breakingTag.textContent = Math.random() > 0.7 ? '🚨 URGENT' : '📢 BREAKING';
-        
-        randomArticle.parentElement.insertBefore(breakingTag, randomArticle);
-        
-        // Flash the live indicator
-        const liveIndicator = this.el.querySelector('[data-live-indicator]');
-        if (liveIndicator) {
-          liveIndicator.classList.add('bg-orange-500');
-          setTimeout(() => {
-            liveIndicator.classList.remove('bg-orange-500');
-          }, 3000);
-        }
-      }
-    }, 15000); // Add breaking tag every 15 seconds
+    // Tag breaking/urgent articles from their metadata, re-evaluating
+    // periodically so tags expire as articles age
+    this.taggedArticles = new Set();
+    this.updateBreakingTags();
+    this.effects.interval(() => this.updateBreakingTags(), 30000);
 
     // Add scrolling text effect to live indicator
     const liveText = this.el.querySelector('[data-live]');
@@ -166,9 +259,9 @@ export const PoliticalLive = {
       const messages = ['LIVE', 'REAL-TIME', 'BREAKING', 'LIVE FEED', 'NOW'];
       let messageIndex = 0;
       
-      setInterval(() => {
+      this.effects.interval(() => {
         liveText.style.opacity = '0';
-        setTimeout(() => {
+        this.effects.timeout(() => {
           liveText.textContent = messages[messageIndex];
           liveText.style.opacity = '1';
           messageIndex = (messageIndex + 1) % messages.length;
@@ -177,11 +270,59 @@ export const PoliticalLive = {
     }
 
     // Add data streaming effect
-    setInterval(() => {
+    this.effects.interval(() => {
       const streamingElements = this.el.querySelectorAll('[data-streaming]');
       streamingElements.forEach(el => {
         el.style.backgroundPosition = `${Math.random() * 100}% ${Math.random() * 100}%`;
       });
     }, 2000);
+  },
+
+  updateBreakingTags() {
+    const feed = this.el.querySelector('[data-news-feed]');
+    if (!feed) return;
+
+    let rules = {};
+    try {
+      rules = JSON.parse(feed.dataset.breakingRules || '{}');
+    } catch (error) {
+      console.error('Invalid breaking news rules:', error);
+    }
+
+    const results = classifyFeed(feed.querySelectorAll('[data-article]'), {
+      baseline: parseFloat(feed.dataset.sentimentBaseline) || 0,
+      rules
+    });
+
+    // Remove old breaking tags
+    this.el.querySelectorAll('.breaking-tag').forEach(tag => tag.remove());
+
+    const tagged = new Set();
+    let newlyTagged = false;
+
+    results.forEach(({ article, tag }) => {
+      if (!tag || !article.headline) return;
+
+      const breakingTag = document.createElement('span');
+      breakingTag.className = 'breaking-tag text-xs bg-red-600 text-white px-2 py-1 rounded-full animate-pulse mr-2 font-bold';
+      breakingTag.textContent = tag === 'urgent' ? '🚨 URGENT' : '📢 BREAKING';
+      article.headline.parentElement.insertBefore(breakingTag, article.headline);
+
+      tagged.add(article.title);
+      if (!this.taggedArticles || !this.taggedArticles.has(article.title)) {
+        newlyTagged = true;
+      }
+    });
+
+    this.taggedArticles = tagged;
+
+    // Flash the live indicator only when a new article becomes breaking
+    const liveIndicator = this.el.querySelector('[data-live-indicator]');
+    if (newlyTagged && liveIndicator) {
+      liveIndicator.classList.add('bg-orange-500');
+      this.effects.timeout(() => {
+        liveIndicator.classList.remove('bg-orange-500');
+      }, 3000);
+    }
   }
-};
\ No newline at end of file
+};
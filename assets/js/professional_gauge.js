@@ -2,29 +2,32 @@
  * Professional 3D Gauge Component
  * 
  * Features:
- * - Three.js 3D rendering with WebGL
+ * - Three.js 3D rendering with WebGL (one context and loop shared by all
+ *   gauges, see gauge_manager.js)
  * - Advanced particle effects and shaders
  * - Smooth animations with easing
  * - Dynamic lighting and materials
  * - Interactive hover effects
  * - Real-time data visualization
+ * - 7d/30d baseline ticks, trend arrow and confidence halo
  * - Modern glass morphism UI
  */
 
-// Load Three.js dynamically
-let THREE;
+import * as THREE from 'three';
+import { EffectScheduler } from './effects_scheduler';
+import { gaugeManager } from './gauge_manager';
 
-async function loadThreeJS() {
-  if (!THREE) {
-    try {
-      THREE = await import('https://cdn.skypack.dev/three@0.158.0');
-    } catch (error) {
-      console.warn('Failed to load Three.js from CDN, falling back to basic gauge');
-      throw error;
-    }
-  }
-  return THREE;
-}
+const BASELINE_COLORS = {
+  baseline7d: 0x3b82f6,  // blue, as in the GaugeChart legend
+  baseline30d: 0xa855f7  // purple
+};
+
+// Keyed by the server's trend_direction; anything else shows as flat
+const TRENDS = {
+  up: { arrow: '▲', label: 'Rising', color: '#10b981' },
+  down: { arrow: '▼', label: 'Declining', color: '#ef4444' },
+  stable: { arrow: '▶', label: 'Stable', color: '#facc15' }
+};
 
 export class ProfessionalGauge {
   constructor(containerId, options = {}) {
@@ -41,7 +44,7 @@ export class ProfessionalGauge {
       ...options
     };
 
-    this.animationId = null;
+    this.effects = new EffectScheduler();
     this.particles = [];
     this.currentValue = this.options.value;
     this.targetValue = this.options.value;
@@ -50,16 +53,15 @@ export class ProfessionalGauge {
     this.init();
   }
 
-  async init() {
+  init() {
     try {
-      await loadThreeJS();
       this.setupScene();
       this.setupLights();
       this.createGauge();
       this.createParticles();
       this.setupUI();
       this.setupEventListeners();
-      this.animate();
+      this.unregister = gaugeManager.register(this);
       this.initialized = true;
     } catch (error) {
       console.error('Failed to initialize Professional Gauge:', error);
@@ -228,30 +230,26 @@ export class ProfessionalGauge {
     );
     this.camera.position.set(0, 0, 12);
     
-    // Renderer with advanced settings
-    this.renderer = new THREE.WebGLRenderer({
-      antialias: true,
-      alpha: true,
-      powerPreference: "high-performance"
-    });
-    
-    // Set exact square dimensions
-    this.renderer.setSize(size, size);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    this.renderer.toneMappingExposure = 1.2;
-    this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+    // The gauge manager renders into this canvas
+    this.canvas = document.createElement('canvas');
+    this.context = this.canvas.getContext('2d');
+    this.resize(size);
     
     // Style the canvas for perfect centering and proportions
-    this.renderer.domElement.style.display = 'block';
-    this.renderer.domElement.style.margin = '0 auto';
-    this.renderer.domElement.style.width = `${size}px`;
-    this.renderer.domElement.style.height = `${size}px`;
-    this.renderer.domElement.style.borderRadius = '8px';
+    this.canvas.style.display = 'block';
+    this.canvas.style.margin = '0 auto';
+    this.canvas.style.borderRadius = '8px';
     
-    this.container.appendChild(this.renderer.domElement);
+    this.container.appendChild(this.canvas);
+  }
+
+  resize(size) {
+    const pixelRatio = Math.min(window.devicePixelRatio, 2);
+    this.size = size;
+    this.canvas.width = Math.round(size * pixelRatio);
+    this.canvas.height = Math.round(size * pixelRatio);
+    this.canvas.style.width = `${size}px`;
+    this.canvas.style.height = `${size}px`;
   }
 
   setupLights() {
@@ -311,6 +309,8 @@ export class ProfessionalGauge {
     
     // Needle
     this.createNeedle();
+    this.createConfidenceHalo();
+    this.createBaselineTicks();
     
     // Center hub
     const hubGeometry = new THREE.CylinderGeometry(0.5, 0.6, 0.4, 16);
@@ -551,9 +551,30 @@ export class ProfessionalGauge {
       animation: pulse 2s ease-in-out infinite alternate;
     `;
 
+    // Trend arrow under the label
+    this.trendDisplay = document.createElement('div');
+    this.trendDisplay.style.cssText = `
+      margin-top: 0.25rem;
+      font-size: 0.75rem;
+      font-weight: 600;
+    `;
+
+    // Key for the baseline ticks
+    const baselineLegend = document.createElement('div');
+    baselineLegend.style.cssText = `
+      position: absolute;
+      bottom: 8%;
+      font-size: 0.625rem;
+      color: rgba(255, 255, 255, 0.6);
+    `;
+    const swatch = color => `<span style="display: inline-block; width: 0.5rem; height: 0.25rem; border-radius: 2px; background: #${color.toString(16).padStart(6, '0')}; margin-right: 0.25rem;"></span>`;
+    baselineLegend.innerHTML = `${swatch(BASELINE_COLORS.baseline7d)}7d &nbsp; ${swatch(BASELINE_COLORS.baseline30d)}30d`;
+
     uiContainer.appendChild(glowOverlay);
     uiContainer.appendChild(this.valueDisplay);
     uiContainer.appendChild(categoryLabel);
+    uiContainer.appendChild(this.trendDisplay);
+    uiContainer.appendChild(baselineLegend);
     
     this.container.appendChild(uiContainer);
 
@@ -576,6 +597,7 @@ export class ProfessionalGauge {
     document.head.appendChild(style);
 
     this.updateValueDisplay();
+    this.updateTrendDisplay();
   }
 
   setupEventListeners() {
@@ -592,12 +614,12 @@ export class ProfessionalGauge {
     });
 
     // Handle resize
-    window.addEventListener('resize', () => {
+    this.effects.listen(window, 'resize', () => {
       const rect = this.container.getBoundingClientRect();
       const size = Math.min(rect.width, rect.height);
       this.camera.aspect = 1; // Keep 1:1 aspect ratio
       this.camera.updateProjectionMatrix();
-      this.renderer.setSize(size, size);
+      this.resize(size);
     });
   }
 
@@ -629,7 +651,7 @@ export class ProfessionalGauge {
       const originalIntensity = this.colorLight.intensity;
       this.colorLight.intensity = originalIntensity * 1.5;
       
-      setTimeout(() => {
+      this.effects.timeout(() => {
         if (this.colorLight) {
           this.colorLight.intensity = originalIntensity;
         }
@@ -643,7 +665,7 @@ export class ProfessionalGauge {
         container.style.transform = 'scale(1.02)';
         container.style.transition = 'transform 0.2s ease';
         
-        setTimeout(() => {
+        this.effects.timeout(() => {
           if (container) {
             container.style.transform = 'scale(1)';
           }
@@ -665,7 +687,7 @@ export class ProfessionalGauge {
     }
   }
 
-  updateNeedle(value) {
+  valueAngle(value) {
     const normalizedValue = (value - this.options.minValue) / 
                            (this.options.maxValue - this.options.minValue);
     
@@ -673,10 +695,15 @@ export class ProfessionalGauge {
     // -135° = bottom-left, 0° = top, +135° = bottom-right
     const startAngle = -Math.PI * 0.75; // -135° (negative sentiment)
     const endAngle = Math.PI * 0.75;    // +135° (positive sentiment)
-    const angle = startAngle + (endAngle - startAngle) * normalizedValue;
+    return startAngle + (endAngle - startAngle) * Math.max(0, Math.min(1, normalizedValue));
+  }
+
+  updateNeedle(value) {
+    const normalizedValue = (value - this.options.minValue) / 
+                           (this.options.maxValue - this.options.minValue);
     
     if (this.needleGroup) {
-      this.needleGroup.rotation.z = angle;
+      this.needleGroup.rotation.z = this.valueAngle(value);
     }
     
     // Update needle color based on sentiment value
@@ -686,6 +713,89 @@ export class ProfessionalGauge {
     }
   }
 
+  // Baselines, trend and confidence from the component; any key may be omitted
+  updateContext(context) {
+    Object.assign(this.options, context);
+    if (!this.initialized) return;
+
+    this.updateBaselineTicks();
+    this.updateConfidenceHalo();
+    this.updateTrendDisplay();
+  }
+
+  // 7d/30d baselines as tick marks across the arc, at the needle's angle for
+  // that value
+  createBaselineTicks() {
+    this.baselineTicks = {};
+
+    Object.entries(BASELINE_COLORS).forEach(([key, color]) => {
+      const mark = new THREE.Mesh(
+        new THREE.BoxGeometry(0.12, 0.9, 0.12),
+        new THREE.MeshBasicMaterial({ color })
+      );
+      mark.position.y = 4.4;
+
+      const tick = new THREE.Group();
+      tick.position.z = 0.15;
+      tick.add(mark);
+
+      this.baselineTicks[key] = tick;
+      this.gaugeGroup.add(tick);
+    });
+
+    this.updateBaselineTicks();
+  }
+
+  updateBaselineTicks() {
+    Object.entries(this.baselineTicks || {}).forEach(([key, tick]) => {
+      const value = this.options[key];
+      tick.visible = Number.isFinite(value);
+      if (tick.visible) tick.rotation.z = this.valueAngle(value);
+    });
+  }
+
+  // Uncertainty band that turns with the needle: narrow and bright at high
+  // confidence, wide and faint at low confidence
+  createConfidenceHalo() {
+    this.confidenceHalo = new THREE.Mesh(
+      new THREE.BufferGeometry(),
+      new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+      })
+    );
+    this.confidenceHalo.position.z = 0.1;
+    this.needleGroup.add(this.confidenceHalo);
+
+    this.updateConfidenceHalo();
+  }
+
+  updateConfidenceHalo() {
+    if (!this.confidenceHalo) return;
+
+    const confidence = Number.isFinite(this.options.confidence)
+      ? Math.max(0, Math.min(1, this.options.confidence))
+      : 0.5;
+    // ±3° at full confidence up to ±30° at none
+    const spread = (3 + 27 * (1 - confidence)) * Math.PI / 180;
+
+    // The needle points along +y, which is π/2 in RingGeometry's angles
+    this.confidenceHalo.geometry.dispose();
+    this.confidenceHalo.geometry = new THREE.RingGeometry(0.7, 4.3, 24, 1, Math.PI / 2 - spread, spread * 2);
+    this.confidenceHalo.material.opacity = 0.12 + 0.13 * confidence;
+  }
+
+  updateTrendDisplay() {
+    if (!this.trendDisplay) return;
+
+    const trend = TRENDS[this.options.trend] || TRENDS.stable;
+    this.trendDisplay.textContent = `${trend.arrow} ${trend.label}`;
+    this.trendDisplay.style.color = trend.color;
+  }
+
   getNeedleColor(normalizedValue) {
     if (normalizedValue < 0.5) {
       // Red to Yellow transition (0% to 50%)
@@ -732,9 +842,8 @@ export class ProfessionalGauge {
     });
   }
 
+  // Called from the gauge manager's shared loop while the gauge is on screen
   animate() {
-    this.animationId = requestAnimationFrame(() => this.animate());
-    
     const time = Date.now() * 0.001;
     
     // Smooth value interpolation with faster response for real-time feel
@@ -793,7 +902,7 @@ export class ProfessionalGauge {
     this.colorLight.position.x = Math.sin(time * 0.2) * 5;
     this.colorLight.position.z = Math.cos(time * 0.2) * 5;
     
-    this.renderer.render(this.scene, this.camera);
+    gaugeManager.render(this.scene, this.camera, this.canvas, this.context);
   }
 
   formatValue(value) {
@@ -829,16 +938,23 @@ export class ProfessionalGauge {
   }
 
   destroy() {
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-    }
+    this.effects.destroy();
     
-    if (this.renderer) {
-      this.renderer.dispose();
-      
-      if (this.container && this.renderer.domElement) {
-        this.container.removeChild(this.renderer.domElement);
-      }
+    if (this.scene) {
+      // The renderer is shared, so free only this gauge's GPU resources
+      this.scene.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+      });
+    }
+
+    if (this.unregister) {
+      this.unregister();
+      this.unregister = null;
+    }
+
+    if (this.canvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,39 @@
+// Per-article "seen" state for the political news feed, kept in localStorage
+// so it survives reloads. Entries are keyed by data-article-id.
+
+const STORAGE_KEY = 'globalPulse.seenArticles';
+const MAX_ENTRIES = 500;
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+function prune(seen) {
+  const cutoff = Date.now() - MAX_AGE;
+
+  return Object.fromEntries(
+    Object.entries(seen)
+      .filter(([, seenAt]) => seenAt >= cutoff)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_ENTRIES)
+  );
+}
+
+export function loadSeen() {
+  try {
+    const seen = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return seen && typeof seen === 'object' ? prune(seen) : {};
+  } catch (error) {
+    console.warn('Could not read seen articles:', error);
+    return {};
+  }
+}
+
+export function markSeen(seen, id) {
+  if (!id || seen[id]) return seen;
+
+  const updated = prune({ ...seen, [id]: Date.now() });
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+  } catch (error) {
+    console.warn('Could not save seen articles:', error);
+  }
+  return updated;
+}
@@ -1,4 +1,8 @@
-// Live Sentiment Chart with real-time fluctuations
+// Live Sentiment Chart fed from the shared time-series store
+
+import { timeSeriesStore } from './time_series_store';
+
+const SERIES_KEYS = ['sentiment.overall', 'sentiment.news', 'sentiment.social'];
 
 export const SentimentChart = {
   mounted() {
@@ -18,8 +22,8 @@ export const SentimentChart = {
     if (this.chart) {
       this.chart.destroy();
     }
-    if (this.updateInterval) {
-      clearInterval(this.updateInterval);
+    if (this.unsubscribers) {
+      this.unsubscribers.forEach(unsubscribe => unsubscribe());
     }
   },
 
@@ -31,23 +35,8 @@ export const SentimentChart = {
       return;
     }
 
-    // Initialize data points with small fluctuating values
-    this.sentimentData = {
-      labels: [],
-      overall: [],
-      news: [],
-      social: []
-    };
-
-    // Generate initial 20 data points
-    const now = new Date();
-    for (let i = 19; i >= 0; i--) {
-      const time = new Date(now - i * 3000); // Every 3 seconds
-      this.sentimentData.labels.push(time.toLocaleTimeString());
-      this.sentimentData.overall.push(this.generateFluctuatingValue(0.1));
-      this.sentimentData.news.push(this.generateFluctuatingValue(0.15));
-      this.sentimentData.social.push(this.generateFluctuatingValue(0.05));
-    }
+    this.dataPoints = 20;
+    this.loadSeries();
 
     // Try Chart.js first, fallback to canvas if not available
     console.log('Chart.js available:', typeof Chart !== 'undefined');
@@ -266,36 +255,30 @@ export const SentimentChart = {
   },
 
   startRealTimeUpdates() {
-    // Update chart every 2 seconds with new fluctuating values
-    this.updateInterval = setInterval(() => {
-      this.addNewDataPoint();
-    }, 2000);
+    // Redraw whenever any of the three series gains a sample
+    this.unsubscribers = SERIES_KEYS.map(key =>
+      timeSeriesStore.subscribe(key, () => this.refreshChart())
+    );
+    this.updateChart();
   },
 
-  addNewDataPoint() {
-    if (!this.chart && !this.ctx) return;
-
-    const now = new Date();
-    const timeLabel = now.toLocaleTimeString();
+  loadSeries() {
+    const [overall, news, social] = SERIES_KEYS.map(key =>
+      timeSeriesStore.getSeries(key, { maxPoints: this.dataPoints })
+    );
 
-    // Generate new fluctuating values
-    const newOverall = this.generateFluctuatingValue(0.1);
-    const newNews = this.generateFluctuatingValue(0.15);
-    const newSocial = this.generateFluctuatingValue(0.05);
+    this.sentimentData = {
+      labels: overall.map(point => new Date(point.timestamp).toLocaleTimeString()),
+      overall: overall.map(point => point.value),
+      news: news.map(point => point.value),
+      social: social.map(point => point.value)
+    };
+  },
 
-    // Add new data point
-    this.sentimentData.labels.push(timeLabel);
-    this.sentimentData.overall.push(newOverall);
-    this.sentimentData.news.push(newNews);
-    this.sentimentData.social.push(newSocial);
+  refreshChart() {
+    if (!this.chart && !this.ctx) return;
 
-    // Keep only last 20 points for smooth scrolling effect
-    if (this.sentimentData.labels.length > 20) {
-      this.sentimentData.labels.shift();
-      this.sentimentData.overall.shift();
-      this.sentimentData.news.shift();
-      this.sentimentData.social.shift();
-    }
+    this.loadSeries();
 
     // Update chart - Chart.js or Canvas
     if (this.chart) {
@@ -309,32 +292,32 @@ export const SentimentChart = {
     }
 
     // Update the sentiment display values
-    this.updateSentimentDisplays(newOverall, newNews, newSocial);
-  },
-
-  generateFluctuatingValue(baseValue) {
-    // Generate small fluctuating values around base value
-    const variation = (Math.random() - 0.5) * 0.6; // Range of ±0.3
-    const trendComponent = Math.sin(Date.now() / 30000) * 0.1; // Slow trend
-    const volatility = (Math.random() - 0.5) * 0.2; // Random volatility
-    
-    return baseValue + variation + trendComponent + volatility;
+    const [overall, news, social] = SERIES_KEYS.map(key => timeSeriesStore.latest(key));
+    if (overall && news && social) {
+      this.updateSentimentDisplays(overall.value, news.value, social.value);
+    }
   },
 
   updateChart() {
-    // Called when LiveView updates - can sync with external data if needed
-    if (this.chart && this.el.dataset.sentiment) {
-      try {
-        const sentimentData = JSON.parse(this.el.dataset.sentiment);
-        // Use external data as base values for fluctuation
-        this.baseValues = {
-          overall: sentimentData.overall || 0.1,
-          news: sentimentData.news || 0.15,
-          social: sentimentData.social || 0.05
-        };
-      } catch (e) {
-        // Continue with internal fluctuation if parsing fails
-      }
+    // Called when LiveView updates - record the server-side sentiment. Updates
+    // for unrelated assigns repeat the last reading, which is not a new sample;
+    // data-sentiment-timestamp (ms), when given, dates the reading
+    const { sentiment, sentimentTimestamp } = this.el.dataset;
+    if (!sentiment) return;
+
+    const sample = `${sentiment}@${sentimentTimestamp}`;
+    if (sample === this.lastSample) return;
+    this.lastSample = sample;
+
+    try {
+      const sentimentData = JSON.parse(sentiment);
+      const timestamp = parseInt(sentimentTimestamp, 10) || Date.now();
+
+      timeSeriesStore.push('sentiment.overall', sentimentData.overall, timestamp);
+      timeSeriesStore.push('sentiment.news', sentimentData.news, timestamp);
+      timeSeriesStore.push('sentiment.social', sentimentData.social, timestamp);
+    } catch (e) {
+      console.error('Invalid sentiment data:', e);
     }
   },
 
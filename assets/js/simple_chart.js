@@ -1,5 +1,9 @@
 // Simple, reliable canvas chart implementation
 
+import { timeSeriesStore } from './time_series_store';
+
+const SERIES_KEYS = ['sentiment.overall', 'sentiment.news', 'sentiment.social'];
+
 export const SimpleChart = {
   mounted() {
     console.log('SimpleChart mounted - this should appear in console');
@@ -56,17 +60,13 @@ export const SimpleChart = {
   },
 
   updated() {
-    // Completely ignore LiveView updates to prevent interference
-    // Our animation is self-contained and doesn't need LiveView data
-    return false; // Prevent any LiveView interference
+    // Only read the sentiment values; drawing stays under our control
+    this.recordSentiment();
   },
 
   destroyed() {
-    if (this.updateInterval) {
-      clearInterval(this.updateInterval);
-    }
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
+    if (this.unsubscribers) {
+      this.unsubscribers.forEach(unsubscribe => unsubscribe());
     }
     if (this.observer) {
       this.observer.disconnect();
@@ -105,118 +105,60 @@ export const SimpleChart = {
     
     console.log('Canvas initialized:', this.displayWidth, 'x', this.displayHeight, 'DPR:', dpr);
 
-    // Initialize data
+    // Series come from the shared store, averaged down to this many points
     this.dataPoints = 20;
-    this.overallData = [];
-    this.newsData = [];
-    this.socialData = [];
-    this.labels = [];
-
-    // Generate initial data
-    const now = Date.now();
-    for (let i = this.dataPoints - 1; i >= 0; i--) {
-      this.overallData.push(this.randomValue(0.1));
-      this.newsData.push(this.randomValue(0.15)); 
-      this.socialData.push(this.randomValue(0.05));
-      this.labels.push(new Date(now - i * 2000).toLocaleTimeString());
-    }
+    this.loadSeries();
 
     this.drawChart();
   },
 
-  randomValue(base) {
-    const variation = (Math.random() - 0.5) * 0.6;
-    const trend = Math.sin(Date.now() / 30000) * 0.1;
-    return base + variation + trend;
+  loadSeries() {
+    [this.overallData, this.newsData, this.socialData] = SERIES_KEYS.map(key =>
+      timeSeriesStore.values(key, { maxPoints: this.dataPoints })
+    );
+  },
+
+  // Updates for unrelated assigns repeat the last reading, which is not a new
+  // sample; data-sentiment-timestamp (ms), when given, dates the reading
+  recordSentiment() {
+    const { sentiment: raw, sentimentTimestamp } = this.el.dataset;
+    if (!raw) return;
+
+    const sample = `${raw}@${sentimentTimestamp}`;
+    if (sample === this.lastSample) return;
+    this.lastSample = sample;
+
+    try {
+      const sentiment = JSON.parse(raw);
+      const timestamp = parseInt(sentimentTimestamp, 10) || Date.now();
+
+      timeSeriesStore.push('sentiment.overall', sentiment.overall, timestamp);
+      timeSeriesStore.push('sentiment.news', sentiment.news, timestamp);
+      timeSeriesStore.push('sentiment.social', sentiment.social, timestamp);
+    } catch (error) {
+      console.error('Invalid sentiment data:', error);
+    }
   },
 
   startUpdates() {
-    // Smooth animation variables
-    this.animationFrame = null;
-    this.lastTime = 0;
-    this.interpolationFactor = 0;
-    
-    // Target values for smooth interpolation
-    this.targetOverall = this.overallData[this.overallData.length - 1];
-    this.targetNews = this.newsData[this.newsData.length - 1];
-    this.targetSocial = this.socialData[this.socialData.length - 1];
-    
     // Lock canvas to prevent external modification
     this.lockCanvas();
-    
-    // Start smooth animation loop
-    this.animate();
-    
-    // Add new data points every 3 seconds (but animate smoothly between)
-    this.updateInterval = setInterval(() => {
-      this.addNewDataPoint();
-    }, 3000);
-  },
-
-  animate() {
-    const currentTime = Date.now();
-    
-    if (currentTime - this.lastTime > 16) { // ~60fps
-      // Check if canvas dimensions have changed (this would cause blurriness)
-      if (this.canvas && (this.canvas.clientWidth !== this.displayWidth || this.canvas.clientHeight !== this.displayHeight)) {
-        console.warn('Canvas size changed! Old:', this.displayWidth, 'x', this.displayHeight, 'New:', this.canvas.clientWidth, 'x', this.canvas.clientHeight);
-        // Don't reinitialize, just log it
-      }
-      
-      // Continuously fluctuate values with smooth animation
-      this.animateValues();
-      this.drawChart();
-      this.lastTime = currentTime;
-    }
-    
-    this.animationFrame = requestAnimationFrame(() => this.animate());
-  },
 
-  animateValues() {
-    // Create smooth micro-fluctuations between data points
-    const time = Date.now() / 1000;
-    const microVariation = 0.02;
-    
-    // Add smooth sine wave variations to each line
-    const overallBase = this.targetOverall;
-    const newsBase = this.targetNews;
-    const socialBase = this.targetSocial;
-    
-    // Different frequencies for each line to create natural movement
-    const overallVariation = Math.sin(time * 2.3) * microVariation + Math.sin(time * 0.7) * microVariation * 0.5;
-    const newsVariation = Math.sin(time * 1.8) * microVariation + Math.cos(time * 0.9) * microVariation * 0.3;
-    const socialVariation = Math.cos(time * 2.1) * microVariation + Math.sin(time * 1.2) * microVariation * 0.7;
-    
-    // Update the last data point with smooth variations
-    this.overallData[this.overallData.length - 1] = overallBase + overallVariation;
-    this.newsData[this.newsData.length - 1] = newsBase + newsVariation;
-    this.socialData[this.socialData.length - 1] = socialBase + socialVariation;
-    
-    // Update display values
-    this.updateDisplayValues(
-      this.overallData[this.overallData.length - 1],
-      this.newsData[this.newsData.length - 1],
-      this.socialData[this.socialData.length - 1]
+    // Redraw whenever any of the three series gains a sample
+    this.unsubscribers = SERIES_KEYS.map(key =>
+      timeSeriesStore.subscribe(key, () => this.refresh())
     );
+    this.recordSentiment();
   },
 
-  addNewDataPoint() {
-    // Shift old data
-    this.overallData.shift();
-    this.newsData.shift();
-    this.socialData.shift();
-    this.labels.shift();
-
-    // Generate new target values
-    this.targetOverall = this.randomValue(0.1);
-    this.targetNews = this.randomValue(0.15);
-    this.targetSocial = this.randomValue(0.05);
-
-    // Add new data points
-    this.overallData.push(this.targetOverall);
-    this.newsData.push(this.targetNews);
-    this.socialData.push(this.targetSocial);
-    this.labels.push(new Date().toLocaleTimeString());
+  refresh() {
+    this.loadSeries();
+    this.drawChart();
+
+    const [overall, news, social] = SERIES_KEYS.map(key => timeSeriesStore.latest(key));
+    if (overall && news && social) {
+      this.updateDisplayValues(overall.value, news.value, social.value);
+    }
   },
 
   drawChart() {
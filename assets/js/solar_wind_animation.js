@@ -1,11 +1,20 @@
 import * as d3 from 'd3'
 import { gsap } from 'gsap'
+import { EffectScheduler } from './effects_scheduler'
+import { readScales, createBadgeOverlay, renderScaleBadges } from './space_weather_scales'
+import { magnetopauseModel } from './magnetopause'
+import { IMF_ALERT_EVENT } from './imf_alerts'
 
 export const SolarWindAnimation = {
   mounted() {
     console.log('Solar Wind Stream Animation mounted')
+    this.effects = new EffectScheduler()
     this.initializeVisualization()
     this.startAnimation()
+    
+    // IMFPanel broadcasts sustained southward Bz; tint the streamlines while
+    // it lasts
+    this.effects.listen(window, IMF_ALERT_EVENT, event => this.tintStreamlines(event.detail.active))
   },
 
   updated() {
@@ -17,18 +26,27 @@ export const SolarWindAnimation = {
       return
     }
     
-    const speed = parseFloat(this.el.dataset.solarWindSpeed) || 400
-    const density = parseFloat(this.el.dataset.solarWindDensity) || 5
+    const { speed, density, bz } = this.readModel()
     const temperature = parseFloat(this.el.dataset.solarWindTemperature) || 100000
     
-    console.log('Updating Solar Wind - Speed:', speed, 'Density:', density, 'Temperature:', temperature)
-    this.updateSolarWindIntensity(speed, density, temperature)
+    this.updateSolarWindIntensity(speed, density, temperature, bz)
+    renderScaleBadges(this.scaleBadges, readScales(this.el))
   },
 
   destroyed() {
     this.cleanup()
   },
 
+  // Shue model for the current readings; missing or unphysical values fall
+  // back to quiet-time conditions in magnetopauseModel
+  readModel() {
+    return magnetopauseModel({
+      speed: parseFloat(this.el.dataset.solarWindSpeed),
+      density: parseFloat(this.el.dataset.solarWindDensity),
+      bz: parseFloat(this.el.dataset.imfBz)
+    })
+  },
+
   initializeVisualization() {
     // Check if already initialized
     if (this.svg) {
@@ -42,6 +60,11 @@ export const SolarWindAnimation = {
     this.height = this.el.offsetHeight
     this.centerX = this.width / 2
     this.centerY = this.height / 2
+    this.earthX = this.width * 0.75
+    // Pixels per Earth radius, so a quiet ~11 RE magnetopause sits well
+    // clear of the Earth
+    this.rePx = this.width * 0.012
+    this.model = this.readModel()
 
     // Create main SVG
     this.svg = d3.select(this.el)
@@ -71,6 +94,10 @@ export const SolarWindAnimation = {
     this.createEarth()
     this.createMagnetosphere()
     this.initializeParticles()
+
+    // NOAA G/S/R badges above the particle canvas
+    this.scaleBadges = createBadgeOverlay(this.el)
+    renderScaleBadges(this.scaleBadges, readScales(this.el))
   },
 
   setupGradients() {
@@ -115,6 +142,29 @@ export const SolarWindAnimation = {
       .attr('offset', '100%')
       .attr('stop-color', '#0066ff')
       .attr('stop-opacity', 0.8)
+
+    // Solar wind under a sustained southward IMF (red to magenta)
+    const southwardGradient = defs.append('linearGradient')
+      .attr('id', 'southwardWindGradient')
+      .attr('x1', '0%')
+      .attr('y1', '0%')
+      .attr('x2', '100%')
+      .attr('y2', '0%')
+
+    southwardGradient.append('stop')
+      .attr('offset', '0%')
+      .attr('stop-color', '#ff6666')
+      .attr('stop-opacity', 0.8)
+
+    southwardGradient.append('stop')
+      .attr('offset', '70%')
+      .attr('stop-color', '#ef4444')
+      .attr('stop-opacity', 0.7)
+
+    southwardGradient.append('stop')
+      .attr('offset', '100%')
+      .attr('stop-color', '#c026d3')
+      .attr('stop-opacity', 0.4)
   },
 
   createSolarWindStreamlines() {
@@ -133,7 +183,7 @@ export const SolarWindAnimation = {
       
       const streamline = this.streamlineGroup.append('path')
         .attr('d', path)
-        .attr('stroke', 'url(#solarWindGradient)')
+        .attr('stroke', this.southward ? 'url(#southwardWindGradient)' : 'url(#solarWindGradient)')
         .attr('stroke-width', Math.abs(yOffset) < this.height * 0.15 ? 2 : 1.5) // Thicker lines near center
         .attr('fill', 'none')
         .attr('opacity', Math.abs(yOffset) < this.height * 0.2 ? 0.9 : 0.6)
@@ -160,9 +210,11 @@ export const SolarWindAnimation = {
         y += (centerY - this.centerY) * expansion * 0.3
       }
       
-      // Calculate deflection around Earth's magnetosphere
+      // Calculate deflection around the bow shock
       const distanceToEarth = Math.sqrt((x - earthX) ** 2 + (centerY - this.centerY) ** 2)
-      const magnetosphereRadius = earthRadius * 2.5
+      const magnetosphereRadius = this.model
+        ? this.model.bowShockStandoff * this.rePx
+        : earthRadius * 2.5
       
       if (x > earthX - magnetosphereRadius && distanceToEarth < magnetosphereRadius) {
         // Deflect streamlines around magnetosphere
@@ -286,24 +338,75 @@ export const SolarWindAnimation = {
   },
 
   createMagnetosphere() {
-    // Create Earth's protective magnetosphere field
-    const earthX = this.width * 0.75
-    const earthY = this.centerY
-    const magnetosphereRadius = this.width * 0.15
-    
+    // Earth's magnetosphere from the Shue model: the bow shock as the shaded
+    // region, the magnetopause as the line inside it
     this.magnetosphereGroup = this.svg.append('g').attr('class', 'magnetosphere')
     
-    // Magnetosphere bow shock
-    this.bowShock = this.magnetosphereGroup.append('ellipse')
-      .attr('cx', earthX - this.width * 0.05)
-      .attr('cy', earthY)
-      .attr('rx', magnetosphereRadius * 1.2)
-      .attr('ry', magnetosphereRadius * 0.8)
+    this.bowShock = this.magnetosphereGroup.append('path')
       .attr('fill', 'url(#magnetosphereGradient)')
       .attr('opacity', 0.4)
       .attr('stroke', '#00ccff')
       .attr('stroke-width', 1)
       .attr('stroke-opacity', 0.6)
+    
+    this.magnetopause = this.magnetosphereGroup.append('path')
+      .attr('fill', 'none')
+      .attr('stroke', '#7dd3fc')
+      .attr('stroke-width', 1.5)
+      .attr('stroke-dasharray', '4,3')
+    
+    // Standoff distance and the inputs behind it
+    this.standoffLabel = this.magnetosphereGroup.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#e0f2fe')
+      .attr('font-size', '11px')
+      .attr('font-weight', 'bold')
+    this.standoffLabel.append('tspan').attr('class', 'standoff-value')
+    this.standoffLabel.append('tspan').attr('class', 'standoff-inputs')
+      .attr('dy', '1.2em')
+      .attr('fill', '#94a3b8')
+      .attr('font-size', '9px')
+      .attr('font-weight', 'normal')
+    
+    this.drawMagnetosphere(0)
+  },
+
+  // Sunward surface out to 150° from the subsolar point, in pixels around the
+  // Earth; the Sun is on the left
+  surfacePath(radius) {
+    const points = d3.range(-150, 151, 5).map(degrees => {
+      const theta = degrees * Math.PI / 180
+      const r = radius(theta) * this.rePx
+      return [this.earthX - r * Math.cos(theta), this.centerY + r * Math.sin(theta)]
+    })
+    
+    return d3.line().curve(d3.curveCatmullRom)(points)
+  },
+
+  drawMagnetosphere(duration) {
+    const model = this.model
+    const shockScale = model.bowShockStandoff / model.standoff
+    const flankY = this.centerY - model.radius(Math.PI / 2) * this.rePx
+    
+    this.bowShock
+      .transition()
+      .duration(duration)
+      .attr('d', this.surfacePath(theta => model.radius(theta) * shockScale))
+    
+    this.magnetopause
+      .transition()
+      .duration(duration)
+      .attr('d', this.surfacePath(model.radius))
+    
+    this.standoffLabel
+      .attr('x', this.earthX)
+      .attr('y', Math.max(24, flankY - 18))
+    this.standoffLabel.select('.standoff-value')
+      .attr('x', this.earthX)
+      .text(`Magnetopause ${model.standoff.toFixed(1)} RE`)
+    this.standoffLabel.select('.standoff-inputs')
+      .attr('x', this.earthX)
+      .text(`${model.pressure.toFixed(1)} nPa · Bz ${model.bz.toFixed(1)} nT`)
   },
 
   createIntensityBar() {
@@ -366,7 +469,7 @@ export const SolarWindAnimation = {
       .attr('opacity', 0.7)
     
     // Current speed indicator
-    const speed = parseFloat(this.el.dataset.solarWindSpeed) || 400
+    const speed = this.model.speed
     const normalizedSpeed = Math.max(200, Math.min(800, speed)) // Clamp between 200-800
     const indicatorY = barY + barHeight - ((normalizedSpeed - 200) / 600) * barHeight
     
@@ -520,9 +623,12 @@ export const SolarWindAnimation = {
     const sunX = this.width * 0.05
     const sunRadius = this.width * 0.12
     
-    const animate = () => {
+    // Restarting (e.g. after a re-initialisation) replaces the running loop
+    if (this.stopParticles) this.stopParticles()
+
+    this.stopParticles = this.effects.loop(() => {
       try {
-        if (!this.ctx || !this.particles) return
+        if (!this.ctx || !this.particles) return this.stopParticles()
         
         this.ctx.clearRect(0, 0, this.width, this.height)
         this.ctx.globalCompositeOperation = 'screen'
@@ -543,7 +649,7 @@ export const SolarWindAnimation = {
         const earthX = this.width * 0.75
         const earthY = this.centerY
         const distanceToEarth = Math.sqrt((particle.x - earthX) ** 2 + (particle.y - earthY) ** 2)
-        const magnetosphereRadius = this.width * 0.15
+        const magnetosphereRadius = this.model.bowShockStandoff * this.rePx
         
         if (distanceToEarth < magnetosphereRadius) {
           const deflectionDirection = particle.y > earthY ? 1 : -1
@@ -566,16 +672,23 @@ export const SolarWindAnimation = {
       })
 
         this.ctx.globalCompositeOperation = 'source-over'
-        this.animationId = requestAnimationFrame(animate)
       } catch (error) {
         console.error('Error in Solar Wind particle animation:', error)
+        this.stopParticles()
       }
-    }
-    
-    animate()
+    })
+  },
+
+  tintStreamlines(southward) {
+    this.southward = southward
+    if (!this.streamlines) return
+
+    this.streamlines.forEach(streamline => {
+      streamline.attr('stroke', southward ? 'url(#southwardWindGradient)' : 'url(#solarWindGradient)')
+    })
   },
 
-  updateSolarWindIntensity(speed, density, temperature) {
+  updateSolarWindIntensity(speed, density, temperature, bz = 0) {
     // Update speed indicator position
     if (this.speedIndicator) {
       const barY = 20
@@ -615,23 +728,32 @@ export const SolarWindAnimation = {
       })
     })
     
-    // Update magnetosphere intensity based on solar wind pressure
+    // Compress or expand the magnetosphere for the new dynamic pressure, and
+    // reroute the streamlines around the moved bow shock
+    this.model = magnetopauseModel({ speed, density, bz })
     if (this.bowShock) {
-      const pressure = (density * speed * speed) / 1000000 // Simple pressure calculation
-      const pressureOpacity = Math.min(0.3 + pressure * 0.1, 0.8)
+      this.drawMagnetosphere(1000)
+      
+      const pressureOpacity = Math.min(0.3 + this.model.pressure * 0.1, 0.8)
       gsap.to(this.bowShock.node(), {
         opacity: pressureOpacity,
         duration: 1
       })
     }
+    
+    const numStreamlines = this.streamlines.length
+    this.streamlines.forEach((streamline, i) => {
+      const yOffset = (i - numStreamlines/2) * (this.height / numStreamlines) * 0.8
+      streamline
+        .transition()
+        .duration(1000)
+        .attr('d', this.createStreamlinePath(this.centerY + yOffset, i))
+    })
   },
 
   cleanup() {
     try {
-      if (this.animationId) {
-        cancelAnimationFrame(this.animationId)
-        this.animationId = null
-      }
+      this.effects.destroy()
       // Kill only tweens related to this component
       if (this.streamlines) {
         this.streamlines.forEach(streamline => {
@@ -1,4 +1,10 @@
 import * as d3 from 'd3'
+import { readScales, drawScaleBadges } from './space_weather_scales'
+
+// The speed bar, with the NOAA S (radiation) and R (radio blackout) badges
+// stacked to its right
+const BAR_WIDTH = 48
+const BADGE_COLUMN = 26
 
 export const SolarWindIntensityBar = {
   mounted() {
@@ -11,13 +17,13 @@ export const SolarWindIntensityBar = {
   },
 
   initializeBar() {
-    const width = 48
+    const width = BAR_WIDTH
     const height = 96
     
     // Create SVG
     this.svg = d3.select(this.el)
       .append('svg')
-      .attr('width', width)
+      .attr('width', width + BADGE_COLUMN)
       .attr('height', height)
       .style('display', 'block')
     
@@ -101,6 +107,10 @@ export const SolarWindIntensityBar = {
       .attr('font-size', '9px')
       .text('km/s')
     
+    // Radiation and radio blackout badges
+    this.badges = this.svg.append('g')
+      .attr('transform', `translate(${width + 4}, 0)`)
+    
     // Indicator group
     this.indicator = this.svg.append('g')
       .attr('class', 'speed-indicator')
@@ -131,6 +141,8 @@ export const SolarWindIntensityBar = {
       const normalizedSpeed = Math.max(200, Math.min(800, speed))
       const y = height - ((normalizedSpeed - 200) / 600) * height
       
+      drawScaleBadges(this.badges, readScales(this.el), { scales: ['S', 'R'], vertical: true })
+      
       // Animate indicator to new position
       this.indicatorLine
         .transition()
@@ -0,0 +1,150 @@
+// NOAA space weather scales, shared by the space-weather hooks
+//
+// G (geomagnetic storms) follows Kp, S (solar radiation storms) the >=10 MeV
+// proton flux and R (radio blackouts) the GOES X-ray peak flux. Each scale
+// runs from 0 (none) to 5 (extreme), with SWPC's level names, impact summaries
+// and colors, so every badge and tooltip reads the same for the same
+// conditions. Current levels arrive as data-noaa-scales JSON, e.g.
+// {"G": 2, "S": 0, "R": 1}.
+
+// SWPC's colors, none through extreme
+export const SCALE_COLORS = ['#22c55e', '#f6eb14', '#ffc800', '#ff9600', '#ff0000', '#c80000']
+
+export const LEVEL_NAMES = ['None', 'Minor', 'Moderate', 'Strong', 'Severe', 'Extreme']
+
+export const NOAA_SCALES = {
+  G: {
+    name: 'Geomagnetic Storms',
+    measure: 'Kp',
+    // Lowest value for G1..G5
+    thresholds: [5, 6, 7, 8, 9],
+    descriptions: [
+      'No geomagnetic storm',
+      'Weak power grid fluctuations; aurora at high latitudes (northern Michigan, Maine)',
+      'High-latitude power systems may see voltage alarms; aurora as low as New York and Idaho',
+      'Voltage corrections may be required; aurora as low as Illinois and Oregon',
+      'Widespread voltage control problems possible; aurora as low as Alabama and northern California',
+      'Possible grid collapse and satellite surface charging; aurora as low as Florida and southern Texas'
+    ]
+  },
+  S: {
+    name: 'Solar Radiation Storms',
+    measure: '>=10 MeV protons (pfu)',
+    thresholds: [10, 1e2, 1e3, 1e4, 1e5],
+    descriptions: [
+      'No solar radiation storm',
+      'Minor impacts on HF radio in the polar regions',
+      'Elevated radiation risk on high-latitude flights; infrequent satellite single-event upsets',
+      'Radiation hazard for astronauts on EVA; degraded HF radio through the polar regions',
+      'Radiation hazard for high-latitude flight passengers; satellite memory and imaging problems',
+      'Unavoidable radiation hazard for astronauts; no HF radio in the polar regions'
+    ]
+  },
+  R: {
+    name: 'Radio Blackouts',
+    measure: 'X-ray flux (W/m²)',
+    // M1, M5, X1, X10 and X20 flares
+    thresholds: [1e-5, 5e-5, 1e-4, 1e-3, 2e-3],
+    descriptions: [
+      'No radio blackout',
+      'Weak degradation of HF radio on the sunlit side',
+      'Limited HF radio blackout on the sunlit side for tens of minutes',
+      'Wide-area HF radio blackout for about an hour on the sunlit side',
+      'HF radio blackout on most of the sunlit side for one to two hours',
+      'Complete HF radio blackout on the entire sunlit side for hours'
+    ]
+  }
+}
+
+// Level 0-5 on the given scale for a Kp, proton flux or X-ray flux value
+export function scaleLevel(scale, value) {
+  const number = Number(value)
+  if (!Number.isFinite(number)) return 0
+  return NOAA_SCALES[scale].thresholds.filter(threshold => number >= threshold).length
+}
+
+export function scaleInfo(scale, level) {
+  const clamped = Math.max(0, Math.min(5, Math.round(Number(level) || 0)))
+  const { name, descriptions } = NOAA_SCALES[scale]
+  const code = `${scale}${clamped}`
+
+  return {
+    scale,
+    level: clamped,
+    code,
+    label: LEVEL_NAMES[clamped],
+    description: descriptions[clamped],
+    color: SCALE_COLORS[clamped],
+    textColor: clamped >= 4 ? '#ffffff' : '#111827',
+    title: `${code} ${LEVEL_NAMES[clamped]} (${name}): ${descriptions[clamped]}`
+  }
+}
+
+// Levels from data-noaa-scales; without them G falls back to data-kp-index
+export function readScales(el) {
+  let levels = {}
+  try {
+    levels = JSON.parse(el.dataset.noaaScales || '{}') || {}
+  } catch (error) {
+    console.error('Invalid NOAA scales:', error)
+  }
+
+  return {
+    G: Number.isFinite(levels.G) ? levels.G : scaleLevel('G', parseFloat(el.dataset.kpIndex)),
+    S: Number.isFinite(levels.S) ? levels.S : 0,
+    R: Number.isFinite(levels.R) ? levels.R : 0
+  }
+}
+
+// Absolutely positioned badge row for the top-left corner of an animation
+export function createBadgeOverlay(parent) {
+  if (getComputedStyle(parent).position === 'static') {
+    parent.style.position = 'relative'
+  }
+
+  const overlay = document.createElement('div')
+  overlay.className = 'absolute top-2 left-2 z-10 flex gap-1'
+  parent.appendChild(overlay)
+  return overlay
+}
+
+export function renderScaleBadges(container, levels, scales = Object.keys(NOAA_SCALES)) {
+  container.innerHTML = scales.map(scale => {
+    const info = scaleInfo(scale, levels[scale])
+    return `<span class="px-1.5 py-0.5 rounded text-xs font-mono font-bold cursor-help" style="background: ${info.color}; color: ${info.textColor}" title="${info.title}">${info.code}</span>`
+  }).join('')
+}
+
+const BADGE_WIDTH = 22
+const BADGE_HEIGHT = 12
+
+// SVG version of renderScaleBadges for the d3 bars; badges are laid out
+// vertically or horizontally from the group's origin
+export function drawScaleBadges(group, levels, { scales = Object.keys(NOAA_SCALES), vertical = false } = {}) {
+  const badges = group.selectAll('g.scale-badge')
+    .data(scales.map(scale => scaleInfo(scale, levels[scale])), d => d.scale)
+    .join(enter => {
+      const badge = enter.append('g')
+        .attr('class', 'scale-badge')
+        .style('cursor', 'help')
+      badge.append('rect')
+        .attr('width', BADGE_WIDTH)
+        .attr('height', BADGE_HEIGHT)
+        .attr('rx', 2)
+      badge.append('text')
+        .attr('x', BADGE_WIDTH / 2)
+        .attr('y', BADGE_HEIGHT - 3)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '9px')
+        .attr('font-weight', 'bold')
+      badge.append('title')
+      return badge
+    })
+    .attr('transform', (d, i) => vertical
+      ? `translate(0, ${i * (BADGE_HEIGHT + 3)})`
+      : `translate(${i * (BADGE_WIDTH + 3)}, 0)`)
+
+  badges.select('rect').attr('fill', d => d.color)
+  badges.select('text').attr('fill', d => d.textColor).text(d => d.code)
+  badges.select('title').text(d => d.title)
+}
@@ -0,0 +1,423 @@
+/**
+ * Generic canvas sparkline hook
+ *
+ * Draws one or more series from the shared time-series store. Everything is
+ * configured through data attributes on the hook element, so a new metric
+ * tile only needs markup:
+ *
+ *   data-series        comma-separated store keys, e.g. "financial.fear_greed"
+ *   data-fields        payload field per series, used to read data-history,
+ *                      data-value objects and pushed events (defaults to the
+ *                      last segment of each key)
+ *   data-history       JSON list of points ({timestamp, <field>: value}) seeded on mount
+ *   data-value         current value (number, or object keyed by field) sampled
+ *                      on mount and on updates that change it
+ *   data-value-timestamp
+ *                      when the value was read (ms); a new timestamp is a new
+ *                      sample even if the value repeats
+ *   data-event         pushed event carrying a point, e.g. "market-indicators"
+ *   data-domain        "min,max" value range; auto-scaled when omitted
+ *   data-colors        comma-separated line colors, one per series
+ *   data-fill          "true" to shade the area under the first series
+ *   data-points        points drawn per series (history is averaged down to it)
+ *   data-window        only show samples from the last N milliseconds
+ *   data-thresholds    JSON list of bands: [{"from": 0, "to": 25, "color": "rgba(...)"}]
+ *   data-marker        "true" to mark the last value of each series
+ *   data-axis          "true" to draw grid lines with value labels
+ *   data-value-target  selector updated with the first series' latest value
+ *   data-change-target selector updated with the change since the previous sample
+ *   data-bar-target    selector for a bar sized by |value| relative to the domain
+ *   data-format        value format: "integer", "fixed:N", "signed:N" or "percent:N"
+ *   data-change-format change format (same options, default "signed:1")
+ *   data-change-suffix text appended to the change, e.g. " pts"
+ *   data-change-tone   "up-good" (default) or "up-bad" for change coloring
+ *   data-value-tone    "signed:T" colors the value green above T and red below -T
+ */
+
+import { timeSeriesStore } from './time_series_store';
+
+const DEFAULT_COLORS = ['#10B981', '#3B82F6', '#F59E0B', '#EF4444', '#8B5CF6'];
+const TONE_CLASSES = ['text-green-400', 'text-red-400', 'text-white', 'text-gray-400', 'text-gray-500'];
+
+function parseJSON(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid sparkline data attribute:', error);
+    return fallback;
+  }
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function hexToRgba(color, alpha) {
+  const match = /^#([0-9a-f]{6})$/i.exec(color);
+  if (!match) return color;
+
+  const num = parseInt(match[1], 16);
+  return `rgba(${(num >> 16) & 255}, ${(num >> 8) & 255}, ${num & 255}, ${alpha})`;
+}
+
+export function formatValue(value, format = 'fixed:1') {
+  const [kind, digits] = format.split(':');
+  const decimals = digits === undefined ? 1 : parseInt(digits, 10);
+  const sign = value > 0 ? '+' : '';
+
+  switch (kind) {
+    case 'integer':
+      return Math.round(value).toString();
+    case 'signed':
+      return sign + value.toFixed(decimals);
+    case 'percent':
+      return sign + value.toFixed(decimals) + '%';
+    default:
+      return value.toFixed(decimals);
+  }
+}
+
+function setTone(el, tone) {
+  el.classList.remove(...TONE_CLASSES);
+  el.classList.add(tone);
+}
+
+export const Sparkline = {
+  mounted() {
+    this.readConfig();
+    this.setupCanvas();
+
+    // Redraw whenever any hook adds a sample for one of our series
+    this.unsubscribers = this.seriesKeys.map(key =>
+      timeSeriesStore.subscribe(key, () => this.scheduleRefresh())
+    );
+
+    parseJSON(this.el.dataset.history, []).forEach(point => this.pushPoint(point));
+    this.sampleValue();
+
+    if (this.el.dataset.event) {
+      this.handleEvent(this.el.dataset.event, point => this.pushPoint(point));
+    }
+
+    this.refresh();
+  },
+
+  updated() {
+    this.sampleValue();
+    this.refresh();
+  },
+
+  destroyed() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+    if (this.refreshFrame) {
+      cancelAnimationFrame(this.refreshFrame);
+    }
+  },
+
+  readConfig() {
+    const data = this.el.dataset;
+
+    this.seriesKeys = splitList(data.series);
+    const fields = splitList(data.fields);
+    this.fields = this.seriesKeys.map((key, index) => fields[index] || key.split('.').pop());
+
+    const colors = splitList(data.colors);
+    this.colors = this.seriesKeys.map((_, index) =>
+      colors[index] || DEFAULT_COLORS[index % DEFAULT_COLORS.length]
+    );
+
+    const domain = splitList(data.domain).map(parseFloat);
+    this.domain = domain.length === 2 && domain.every(Number.isFinite) ? domain : null;
+
+    this.maxPoints = parseInt(data.points, 10) || 30;
+    this.window = parseInt(data.window, 10) || undefined;
+    this.fill = data.fill === 'true';
+    this.marker = data.marker === 'true';
+    this.axis = data.axis === 'true';
+    this.thresholds = parseJSON(data.thresholds, []);
+  },
+
+  setupCanvas() {
+    this.canvas = this.el.querySelector('canvas');
+    if (!this.canvas) {
+      console.error(`Sparkline ${this.el.id} has no canvas`);
+      return;
+    }
+
+    this.ctx = this.canvas.getContext('2d');
+    this.resizeCanvas();
+
+    this.resizeObserver = new ResizeObserver(() => {
+      this.resizeCanvas();
+      this.drawChart();
+    });
+    this.resizeObserver.observe(this.canvas.parentElement);
+  },
+
+  resizeCanvas() {
+    const rect = this.canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+
+    this.canvas.style.width = '100%';
+    this.canvas.style.height = '100%';
+    this.canvas.width = rect.width * dpr;
+    this.canvas.height = rect.height * dpr;
+
+    this.dpr = dpr;
+    this.displayWidth = rect.width;
+    this.displayHeight = rect.height;
+  },
+
+  pushPoint(point) {
+    if (!point || typeof point !== 'object') return;
+
+    const timestamp = point.timestamp || Date.now();
+    this.seriesKeys.forEach((key, index) => {
+      if (point[this.fields[index]] !== undefined) {
+        timeSeriesStore.push(key, point[this.fields[index]], timestamp);
+      }
+    });
+  },
+
+  // LiveView also re-renders the tile for unrelated assigns, which are not
+  // new readings
+  sampleValue() {
+    const { value: raw, valueTimestamp } = this.el.dataset;
+    if (raw === undefined) return;
+
+    const sample = `${raw}@${valueTimestamp}`;
+    if (sample === this.lastSample) return;
+    this.lastSample = sample;
+
+    const timestamp = parseInt(valueTimestamp, 10) || Date.now();
+    const value = parseJSON(raw, null);
+    if (value !== null && typeof value === 'object') {
+      this.pushPoint({ timestamp, ...value });
+    } else if (this.seriesKeys.length > 0) {
+      timeSeriesStore.push(this.seriesKeys[0], value, timestamp);
+    }
+  },
+
+  // Pushes for several series arrive together; draw once per frame
+  scheduleRefresh() {
+    if (this.refreshFrame) return;
+
+    this.refreshFrame = requestAnimationFrame(() => {
+      this.refreshFrame = null;
+      this.refresh();
+    });
+  },
+
+  refresh() {
+    this.seriesData = this.seriesKeys.map(key =>
+      timeSeriesStore.values(key, { window: this.window, maxPoints: this.maxPoints })
+    );
+
+    this.updateDisplays();
+    this.drawChart();
+  },
+
+  valueRange() {
+    if (this.domain) return this.domain;
+
+    const values = this.seriesData.flat();
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return min === max ? [min - 1, max + 1] : [min, max];
+  },
+
+  drawChart() {
+    if (!this.ctx || !this.seriesData) return;
+
+    const width = this.displayWidth;
+    const height = this.displayHeight;
+
+    this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    this.ctx.fillStyle = '#111827';
+    this.ctx.fillRect(0, 0, width, height);
+
+    if (this.seriesData.every(values => values.length === 0)) {
+      this.drawNoData(width, height);
+      return;
+    }
+
+    const [min, max] = this.valueRange();
+    const left = this.axis ? 50 : 2;
+    const right = this.axis ? 20 : 2;
+    const top = this.axis ? 10 : 2;
+    const bottom = this.axis ? 10 : 2;
+
+    const area = {
+      left,
+      top,
+      width: width - left - right,
+      height: height - top - bottom,
+      x: (index, count) => left + (count > 1 ? (index / (count - 1)) * (width - left - right) : (width - left - right)),
+      y: value => top + (1 - (value - min) / (max - min)) * (height - top - bottom)
+    };
+
+    this.drawThresholds(area, min, max);
+    if (this.axis) this.drawAxis(area, min, max);
+
+    this.seriesData.forEach((values, index) => {
+      this.drawSeries(values, this.colors[index], area, this.fill && index === 0);
+    });
+
+    if (this.marker) {
+      this.seriesData.forEach((values, index) => this.drawMarker(values, this.colors[index], area));
+    }
+  },
+
+  drawNoData(width, height) {
+    this.ctx.fillStyle = '#6B7280';
+    this.ctx.font = '11px sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText('No data', width / 2, height / 2);
+  },
+
+  drawThresholds(area, min, max) {
+    this.thresholds.forEach(band => {
+      const from = Math.max(min, band.from ?? min);
+      const to = Math.min(max, band.to ?? max);
+      if (to <= from) return;
+
+      this.ctx.fillStyle = band.color || 'rgba(107, 114, 128, 0.15)';
+      this.ctx.fillRect(area.left, area.y(to), area.width, area.y(from) - area.y(to));
+    });
+  },
+
+  drawAxis(area, min, max) {
+    this.ctx.strokeStyle = 'rgba(75, 85, 99, 0.3)';
+    this.ctx.lineWidth = 1;
+    this.ctx.fillStyle = '#9CA3AF';
+    this.ctx.font = '12px sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.textBaseline = 'middle';
+
+    for (let i = 0; i <= 4; i++) {
+      const value = max - ((max - min) / 4) * i;
+      const y = area.y(value);
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(area.left, y);
+      this.ctx.lineTo(area.left + area.width, y);
+      this.ctx.stroke();
+
+      this.ctx.fillText(value.toFixed(2), area.left - 5, y);
+    }
+  },
+
+  drawSeries(values, color, area, fill) {
+    if (values.length < 2) return;
+
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 2;
+    this.ctx.lineCap = 'round';
+    this.ctx.lineJoin = 'round';
+    this.ctx.beginPath();
+
+    values.forEach((value, index) => {
+      const x = area.x(index, values.length);
+      const y = area.y(value);
+
+      if (index === 0) {
+        this.ctx.moveTo(x, y);
+      } else {
+        this.ctx.lineTo(x, y);
+      }
+    });
+
+    this.ctx.stroke();
+
+    if (!fill) return;
+
+    // Draw filled area under line
+    const baseline = area.top + area.height;
+    this.ctx.lineTo(area.x(values.length - 1, values.length), baseline);
+    this.ctx.lineTo(area.left, baseline);
+    this.ctx.closePath();
+
+    const areaGradient = this.ctx.createLinearGradient(0, area.top, 0, baseline);
+    areaGradient.addColorStop(0, hexToRgba(color, 0.3));
+    areaGradient.addColorStop(1, hexToRgba(color, 0.05));
+
+    this.ctx.fillStyle = areaGradient;
+    this.ctx.fill();
+  },
+
+  drawMarker(values, color, area) {
+    if (values.length === 0) return;
+
+    const x = area.x(values.length - 1, values.length);
+    const y = area.y(values[values.length - 1]);
+
+    this.ctx.fillStyle = hexToRgba(color, 0.3);
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, 5, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    this.ctx.fillStyle = color;
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+    this.ctx.fill();
+  },
+
+  updateDisplays() {
+    const data = this.el.dataset;
+    const valueEl = data.valueTarget && document.querySelector(data.valueTarget);
+    const changeEl = data.changeTarget && document.querySelector(data.changeTarget);
+    const barEl = data.barTarget && document.querySelector(data.barTarget);
+
+    const [previous, latest] = this.seriesKeys.length > 0 ? timeSeriesStore.tail(this.seriesKeys[0], 2) : [];
+    const current = latest || previous;
+
+    if (!current) {
+      if (valueEl) valueEl.textContent = '—';
+      if (changeEl) {
+        changeEl.textContent = 'No data';
+        setTone(changeEl, 'text-gray-500');
+      }
+      return;
+    }
+
+    if (valueEl) {
+      valueEl.textContent = formatValue(current.value, data.format);
+
+      const [tone, level] = (data.valueTone || '').split(':');
+      if (tone === 'signed') {
+        const threshold = parseFloat(level) || 0;
+        setTone(valueEl, current.value > threshold ? 'text-green-400'
+          : current.value < -threshold ? 'text-red-400' : 'text-white');
+      }
+    }
+
+    if (changeEl) {
+      if (latest) {
+        const change = latest.value - previous.value;
+        const upGood = data.changeTone !== 'up-bad';
+
+        changeEl.textContent = formatValue(change, data.changeFormat || 'signed:1') + (data.changeSuffix || '');
+        setTone(changeEl, change === 0 ? 'text-gray-400'
+          : (change > 0) === upGood ? 'text-green-400' : 'text-red-400');
+      } else {
+        changeEl.textContent = '—';
+        setTone(changeEl, 'text-gray-500');
+      }
+    }
+
+    if (barEl) {
+      const [min, max] = this.domain || [-1, 1];
+      const scale = Math.max(Math.abs(min), Math.abs(max)) || 1;
+      const percentage = Math.min(Math.abs(current.value) / scale * 100, 100);
+
+      barEl.style.width = `${percentage}%`;
+      barEl.classList.remove('bg-green-500', 'bg-red-500');
+      barEl.classList.add(current.value >= 0 ? 'bg-green-500' : 'bg-red-500');
+    }
+  }
+};
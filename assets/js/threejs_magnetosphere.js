@@ -1,14 +1,141 @@
 import * as THREE from 'three'
+import { EffectScheduler } from './effects_scheduler'
+import { SCALE_COLORS, scaleLevel, readScales, createBadgeOverlay, renderScaleBadges } from './space_weather_scales'
+import { GEOMAGNETIC_NORTH_POLE, ovalParameters } from './aurora_oval'
+
+const EARTH_RADIUS = 6.371
+
+// Auroral oval mesh resolution: segments around the oval, rows across it
+// (or up the curtain)
+const AURORA_SEGMENTS = 128
+const AURORA_ROWS = 8
+// Curtain height as a fraction of Earth radius, and how far across the oval
+// it stands (0 = equatorward edge)
+const CURTAIN_HEIGHT = 0.06
+const CURTAIN_ACROSS = 0.25
+// Antisunward, i.e. magnetic midnight; the solar wind streams in from -x
+const ANTISUNWARD = new THREE.Vector3(1, 0, 0)
+
+// Unit vector for a latitude/longitude in the Earth mesh's own frame, laid
+// out as SphereGeometry's UVs would map an equirectangular texture (longitude
+// 0 on +x, 90°E on -z)
+function earthDirection(lat, lon) {
+  const phi = lat * Math.PI / 180
+  const lambda = lon * Math.PI / 180
+  return new THREE.Vector3(Math.cos(phi) * Math.cos(lambda), Math.sin(phi), -Math.cos(phi) * Math.sin(lambda))
+}
+
+const MAGNETIC_POLE_DIRECTION = earthDirection(GEOMAGNETIC_NORTH_POLE.lat, GEOMAGNETIC_NORTH_POLE.lon)
+
+// Vertices are placed in geomagnetic coordinates from the oval boundaries:
+// +y is the magnetic pole and aAngle is measured from magnetic midnight (+x,
+// away from the Sun, since the solar wind streams in from -x)
+const AURORA_VERTEX_SHADER = `
+  uniform float uMidnightLatitude;
+  uniform float uDaysideShift;
+  uniform float uMidnightWidth;
+  uniform float uNoonWidth;
+  uniform float uRadius;
+  uniform float uCurtainHeight;
+  attribute float aAngle;
+  attribute float aAcross;
+  attribute float aHeight;
+  varying float vAngle;
+  varying float vAcross;
+  varying float vHeight;
+
+  void main() {
+    float night = (1.0 + cos(aAngle)) * 0.5;
+    float equatorward = uMidnightLatitude + uDaysideShift * (1.0 - night);
+    float width = uNoonWidth + (uMidnightWidth - uNoonWidth) * night;
+    float colatitude = radians(90.0 - (equatorward + width * aAcross));
+    float radius = uRadius * (1.005 + uCurtainHeight * aHeight);
+    vec3 direction = vec3(sin(colatitude) * cos(aAngle), cos(colatitude), sin(colatitude) * sin(aAngle));
+
+    vAngle = aAngle;
+    vAcross = aAcross;
+    vHeight = aHeight;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(direction * radius, 1.0);
+  }
+`
+
+// Rays drift along the oval and fold over time; the curtain fades upward and
+// reddens at the top (630 nm oxygen) in strong storms
+const AURORA_FRAGMENT_SHADER = `
+  uniform float uTime;
+  uniform float uIntensity;
+  uniform float uRed;
+  varying float vAngle;
+  varying float vAcross;
+  varying float vHeight;
+
+  void main() {
+    float fold = sin(vAngle * 11.0 - uTime * 0.4) * 2.5;
+    float rays = 0.5 + 0.5 * sin(vAngle * 140.0 + fold + uTime * 1.2);
+    rays = mix(0.35, 1.0, rays * rays);
+
+  #ifdef CURTAIN
+    float shape = pow(1.0 - vHeight, 1.5) * rays;
+  #else
+    float shape = smoothstep(0.0, 0.2, vAcross) * (1.0 - smoothstep(0.4, 1.0, vAcross)) * (0.4 + 0.6 * rays);
+  #endif
+
+    vec3 green = vec3(0.25, 1.0, 0.5);
+    vec3 red = vec3(1.0, 0.3, 0.4);
+    vec3 color = mix(green, red, smoothstep(0.4, 1.0, vHeight) * uRed);
+    gl_FragColor = vec4(color, shape * uIntensity);
+  }
+`
+
+// A strip around the oval; across the oval for the glow band, or up from the
+// surface for the curtain
+function auroraGeometry(curtain) {
+  const positions = []
+  const angles = []
+  const across = []
+  const heights = []
+  const indices = []
+
+  for (let i = 0; i <= AURORA_SEGMENTS; i++) {
+    for (let j = 0; j <= AURORA_ROWS; j++) {
+      const t = j / AURORA_ROWS
+      // Placed by the vertex shader
+      positions.push(0, 0, 0)
+      angles.push((i / AURORA_SEGMENTS) * Math.PI * 2)
+      across.push(curtain ? CURTAIN_ACROSS : t)
+      heights.push(curtain ? t : 0)
+
+      if (i < AURORA_SEGMENTS && j < AURORA_ROWS) {
+        const a = i * (AURORA_ROWS + 1) + j
+        const b = a + AURORA_ROWS + 1
+        indices.push(a, b, a + 1, b, b + 1, a + 1)
+      }
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+  geometry.setAttribute('aAngle', new THREE.Float32BufferAttribute(angles, 1))
+  geometry.setAttribute('aAcross', new THREE.Float32BufferAttribute(across, 1))
+  geometry.setAttribute('aHeight', new THREE.Float32BufferAttribute(heights, 1))
+  geometry.setIndex(indices)
+  return geometry
+}
 
 export const ThreeJSMagnetosphere = {
   mounted() {
+    this.effects = new EffectScheduler()
     this.initThreeJS()
     this.createEarth()
+    this.createAurora(parseFloat(this.el.dataset.kpIndex) || 0)
     this.createMagnetosphere()
     this.createRadiationBelts()
     this.createParticleSystem()
     this.startAnimation()
     this.setupResizeObserver()
+
+    this.scaleBadges = createBadgeOverlay(this.el)
+    renderScaleBadges(this.scaleBadges, readScales(this.el))
   },
 
   updated() {
@@ -17,6 +144,7 @@ export const ThreeJSMagnetosphere = {
     const severity = this.el.dataset.severity || 'Quiet'
     
     this.updateSpaceWeather(kpIndex, solarWindSpeed, severity)
+    renderScaleBadges(this.scaleBadges, readScales(this.el))
   },
 
   destroyed() {
@@ -86,7 +214,7 @@ export const ThreeJSMagnetosphere = {
 
   createEarth() {
     // Earth geometry
-    const earthGeometry = new THREE.SphereGeometry(6.371, 64, 32)
+    const earthGeometry = new THREE.SphereGeometry(EARTH_RADIUS, 64, 32)
     
     // Earth materials with realistic textures
     const earthMaterial = new THREE.MeshPhongMaterial({
@@ -117,6 +245,95 @@ export const ThreeJSMagnetosphere = {
     this.earthRotationSpeed = 0.005
   },
 
+  // Auroral ovals over both geomagnetic poles, built once. Kp changes only
+  // move the target; animate() eases the boundaries toward it
+  createAurora(kpIndex) {
+    this.auroraKp = kpIndex
+    this.auroraTargetKp = kpIndex
+    this.auroraUniforms = {
+      uTime: { value: 0 },
+      uRadius: { value: EARTH_RADIUS },
+      uCurtainHeight: { value: CURTAIN_HEIGHT },
+      uMidnightLatitude: { value: 0 },
+      uDaysideShift: { value: 0 },
+      uMidnightWidth: { value: 0 },
+      uNoonWidth: { value: 0 },
+      uIntensity: { value: 0 },
+      uRed: { value: 0 }
+    }
+    this.applyAuroraKp(kpIndex)
+
+    const material = defines => new THREE.ShaderMaterial({
+      uniforms: this.auroraUniforms,
+      vertexShader: AURORA_VERTEX_SHADER,
+      fragmentShader: AURORA_FRAGMENT_SHADER,
+      defines,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      side: THREE.DoubleSide
+    })
+    const bandGeometry = auroraGeometry(false)
+    const curtainGeometry = auroraGeometry(true)
+    const bandMaterial = material({})
+    const curtainMaterial = material({ CURTAIN: 1 })
+
+    this.auroraGroup = new THREE.Group()
+    this.auroraAxis = new THREE.Vector3()
+    this.auroraMidnight = new THREE.Vector3()
+    this.auroraDusk = new THREE.Vector3()
+    this.auroraBasis = new THREE.Matrix4()
+    // The southern oval is the northern one turned over the noon-midnight line
+    const hemispheres = [0, Math.PI]
+    hemispheres.forEach(rotation => {
+      const hemisphere = new THREE.Group()
+      hemisphere.rotation.x = rotation
+      const band = new THREE.Mesh(bandGeometry, bandMaterial)
+      const curtain = new THREE.Mesh(curtainGeometry, curtainMaterial)
+      // Positions come from the shader, so the geometry has no real bounds
+      band.frustumCulled = false
+      curtain.frustumCulled = false
+      hemisphere.add(band, curtain)
+      this.auroraGroup.add(hemisphere)
+    })
+    this.scene.add(this.auroraGroup)
+  },
+
+  applyAuroraKp(kpIndex) {
+    const { midnightLatitude, daysideShift, midnightWidth, noonWidth } = ovalParameters(kpIndex)
+    const uniforms = this.auroraUniforms
+    uniforms.uMidnightLatitude.value = midnightLatitude
+    uniforms.uDaysideShift.value = daysideShift
+    uniforms.uMidnightWidth.value = midnightWidth
+    uniforms.uNoonWidth.value = noonWidth
+    uniforms.uIntensity.value = 0.35 + 0.65 * Math.min(kpIndex / 9, 1)
+    uniforms.uRed.value = Math.max(0, (kpIndex - 5) / 4)
+  },
+
+  // Eases the ovals toward the latest Kp. The oval is centered on the magnetic
+  // pole, which turns with the Earth, while its noon-midnight line stays
+  // pointed along the Sun-Earth line
+  animateAurora() {
+    if (!this.auroraGroup) return
+
+    this.auroraKp += (this.auroraTargetKp - this.auroraKp) * 0.03
+    this.applyAuroraKp(this.auroraKp)
+    this.auroraUniforms.uTime.value = performance.now() / 1000
+
+    this.auroraAxis.copy(MAGNETIC_POLE_DIRECTION)
+    if (this.earth) this.auroraAxis.applyQuaternion(this.earth.quaternion)
+
+    // Magnetic midnight is the antisunward direction on the pole's tangent
+    // plane; the pole never points straight along the Sun-Earth line
+    this.auroraMidnight
+      .copy(ANTISUNWARD)
+      .addScaledVector(this.auroraAxis, -ANTISUNWARD.dot(this.auroraAxis))
+      .normalize()
+    this.auroraDusk.crossVectors(this.auroraMidnight, this.auroraAxis)
+    this.auroraBasis.makeBasis(this.auroraMidnight, this.auroraAxis, this.auroraDusk)
+    this.auroraGroup.quaternion.setFromRotationMatrix(this.auroraBasis)
+  },
+
   createMagnetosphere() {
     this.fieldLines = []
     this.fieldLinesGroup = new THREE.Group()
@@ -307,12 +524,14 @@ export const ThreeJSMagnetosphere = {
   },
 
   updateSpaceWeather(kpIndex, solarWindSpeed, severity) {
-    // Update field line intensity based on KP index
+    // Update field line intensity based on KP index, colored by G-scale
+    // level during storms
     const intensity = kpIndex / 9
+    const stormLevel = scaleLevel('G', kpIndex)
     this.fieldLines.forEach(fieldLine => {
       fieldLine.material.opacity = 0.3 + intensity * 0.7
-      if (intensity > 0.5) {
-        fieldLine.material.color.setHex(0xef4444) // Red during storms
+      if (stormLevel > 0) {
+        fieldLine.material.color.set(SCALE_COLORS[stormLevel])
       } else {
         fieldLine.material.color.setHex(0x3b82f6) // Blue during quiet
       }
@@ -334,38 +553,8 @@ export const ThreeJSMagnetosphere = {
       this.solarWindParticles.geometry.attributes.velocity.needsUpdate = true
     }
 
-    // Add aurora effects for high KP
-    if (kpIndex >= 4) {
-      this.createAuroraEffect(kpIndex)
-    } else {
-      this.removeAuroraEffect()
-    }
-  },
-
-  createAuroraEffect(kpIndex) {
-    if (this.aurora) {
-      this.scene.remove(this.aurora)
-    }
-
-    const auroraRadius = 7 + kpIndex * 0.5
-    const auroraGeometry = new THREE.RingGeometry(auroraRadius, auroraRadius + 2, 32)
-    const auroraMaterial = new THREE.MeshBasicMaterial({
-      color: kpIndex >= 7 ? 0xef4444 : kpIndex >= 5 ? 0xf59e0b : 0x10b981,
-      transparent: true,
-      opacity: 0.6,
-      side: THREE.DoubleSide
-    })
-
-    this.aurora = new THREE.Mesh(auroraGeometry, auroraMaterial)
-    this.aurora.rotateX(Math.PI / 2)
-    this.scene.add(this.aurora)
-  },
-
-  removeAuroraEffect() {
-    if (this.aurora) {
-      this.scene.remove(this.aurora)
-      this.aurora = null
-    }
+    // Auroral ovals follow Kp; animate() eases them to the new boundaries
+    this.auroraTargetKp = kpIndex
   },
 
   animate() {
@@ -375,6 +564,7 @@ export const ThreeJSMagnetosphere = {
     if (this.earth) {
       this.earth.rotateY(this.earthRotationSpeed)
     }
+    this.animateAurora()
 
     // Rotate radiation belts
     if (this.innerBelt) this.innerBelt.rotateZ(0.01)
@@ -415,18 +605,11 @@ export const ThreeJSMagnetosphere = {
   },
 
   startAnimation() {
-    const animate = () => {
-      this.animationId = requestAnimationFrame(animate)
-      this.animate()
-    }
-    animate()
+    this.effects.loop(() => this.animate())
   },
 
   setupResizeObserver() {
-    this.resizeObserver = new ResizeObserver(entries => {
-      this.handleResize()
-    })
-    this.resizeObserver.observe(this.el)
+    this.effects.observe(new ResizeObserver(() => this.handleResize()), this.el)
   },
 
   handleResize() {
@@ -444,13 +627,7 @@ export const ThreeJSMagnetosphere = {
   },
 
   cleanup() {
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId)
-    }
-
-    if (this.resizeObserver) {
-      this.resizeObserver.disconnect()
-    }
+    this.effects.destroy()
 
     if (this.renderer) {
       this.renderer.dispose()
@@ -0,0 +1,210 @@
+/**
+ * Shared client-side time-series store
+ *
+ * Holds named series (e.g. "sentiment.overall", "financial.fear_greed") in
+ * fixed-size ring buffers so every chart hook reading the same key shows the
+ * same history. The store lives at module scope, so history survives
+ * LiveView re-mounts for as long as the page session lasts.
+ *
+ * - push(key, value, timestamp) appends a sample; out-of-order or duplicate
+ *   timestamps are ignored, so several hooks can feed the same key
+ * - getSeries(key, { window, maxPoints }) reads samples, bucket-averaged
+ *   down to maxPoints for long windows
+ * - subscribe(key, callback) notifies on every accepted sample and returns
+ *   an unsubscribe function for the hook's destroyed()
+ */
+
+const DEFAULT_CAPACITY = 4320;            // 6 hours at one sample per 5s
+const DEFAULT_RETENTION = 6 * 60 * 60 * 1000;
+
+export class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      // Overwrite the oldest entry
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  // Drop entries from the oldest end while `predicate` holds
+  dropWhile(predicate) {
+    while (this.length > 0 && predicate(this.items[this.start])) {
+      this.items[this.start] = undefined;
+      this.start = (this.start + 1) % this.capacity;
+      this.length--;
+    }
+  }
+
+  at(offset) {
+    if (offset < 0) offset += this.length;
+    if (offset < 0 || offset >= this.length) return undefined;
+    return this.items[(this.start + offset) % this.capacity];
+  }
+
+  last() {
+    return this.at(-1);
+  }
+
+  toArray() {
+    const result = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      result[i] = this.items[(this.start + i) % this.capacity];
+    }
+    return result;
+  }
+}
+
+// Average consecutive samples into buckets, always keeping the newest sample
+// exact so "current value" readouts match the raw data
+export function downsample(points, maxPoints) {
+  if (!maxPoints || points.length <= maxPoints) return points;
+  if (maxPoints < 2) return points.slice(-1);
+
+  const head = points.slice(0, -1);
+  const buckets = maxPoints - 1;
+  const bucketSize = head.length / buckets;
+  const result = [];
+
+  for (let b = 0; b < buckets; b++) {
+    const from = Math.floor(b * bucketSize);
+    const to = Math.max(from + 1, Math.floor((b + 1) * bucketSize));
+    let sum = 0;
+
+    for (let i = from; i < to; i++) {
+      sum += head[i].value;
+    }
+
+    result.push({
+      timestamp: head[to - 1].timestamp,
+      value: sum / (to - from)
+    });
+  }
+
+  result.push(points[points.length - 1]);
+  return result;
+}
+
+class TimeSeriesStore {
+  constructor() {
+    this.series = new Map();
+    this.subscribers = new Map();
+  }
+
+  // Set capacity/retention for a key; existing samples are carried over
+  configure(key, { capacity = DEFAULT_CAPACITY, retention = DEFAULT_RETENTION } = {}) {
+    const existing = this.series.get(key);
+    const entry = { buffer: new RingBuffer(capacity), retention };
+
+    if (existing) {
+      existing.buffer.toArray().forEach(point => entry.buffer.push(point));
+    }
+
+    this.series.set(key, entry);
+    return this;
+  }
+
+  entry(key) {
+    if (!this.series.has(key)) {
+      this.configure(key);
+    }
+    return this.series.get(key);
+  }
+
+  push(key, value, timestamp = Date.now()) {
+    value = Number(value);
+    timestamp = Number(timestamp);
+    if (!Number.isFinite(value) || !Number.isFinite(timestamp)) return false;
+
+    const { buffer, retention } = this.entry(key);
+    const last = buffer.last();
+    if (last && timestamp <= last.timestamp) return false;
+
+    const point = { timestamp, value };
+    buffer.push(point);
+    buffer.dropWhile(item => item.timestamp < timestamp - retention);
+
+    this.notify(key, point);
+    return true;
+  }
+
+  pushMany(key, points) {
+    let accepted = false;
+    points.forEach(({ timestamp, value }) => {
+      accepted = this.push(key, value, timestamp) || accepted;
+    });
+    return accepted;
+  }
+
+  latest(key) {
+    const entry = this.series.get(key);
+    return entry ? entry.buffer.last() : undefined;
+  }
+
+  // Last `count` raw samples, oldest first
+  tail(key, count) {
+    const entry = this.series.get(key);
+    if (!entry) return [];
+
+    const { buffer } = entry;
+    const result = [];
+    for (let i = Math.max(0, buffer.length - count); i < buffer.length; i++) {
+      result.push(buffer.at(i));
+    }
+    return result;
+  }
+
+  getSeries(key, { window, maxPoints } = {}) {
+    const entry = this.series.get(key);
+    if (!entry) return [];
+
+    let points = entry.buffer.toArray();
+    if (window) {
+      const cutoff = Date.now() - window;
+      points = points.filter(point => point.timestamp >= cutoff);
+    }
+
+    return downsample(points, maxPoints);
+  }
+
+  values(key, options) {
+    return this.getSeries(key, options).map(point => point.value);
+  }
+
+  subscribe(key, callback) {
+    if (!this.subscribers.has(key)) {
+      this.subscribers.set(key, new Set());
+    }
+    this.subscribers.get(key).add(callback);
+
+    return () => {
+      const callbacks = this.subscribers.get(key);
+      if (callbacks) callbacks.delete(callback);
+    };
+  }
+
+  notify(key, point) {
+    const callbacks = this.subscribers.get(key);
+    if (!callbacks) return;
+
+    callbacks.forEach(callback => {
+      try {
+        callback(point, key);
+      } catch (error) {
+        console.error(`Time series subscriber for ${key} failed:`, error);
+      }
+    });
+  }
+}
+
+export const timeSeriesStore = new TimeSeriesStore();
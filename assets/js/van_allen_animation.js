@@ -1,5 +1,6 @@
 import * as d3 from 'd3'
 import { gsap } from 'gsap'
+import { NOAA_SCALES, SCALE_COLORS, scaleInfo, readScales, createBadgeOverlay, renderScaleBadges } from './space_weather_scales'
 
 export const MagnetosphereAnimation = {
   mounted() {
@@ -23,6 +24,7 @@ export const MagnetosphereAnimation = {
     
     console.log('Updating Van Allen belts - KP:', kpIndex, 'Severity:', severity)
     this.updateBeltIntensity(kpIndex, severity)
+    renderScaleBadges(this.scaleBadges, readScales(this.el))
   },
 
   destroyed() {
@@ -74,6 +76,10 @@ export const MagnetosphereAnimation = {
     this.createVanAllenBelts()
     this.createEarth()  // Create Earth last so it appears on top
     // Remove particle system for clean look like reference
+
+    // NOAA G/S/R badges above the canvas so their tooltips stay reachable
+    this.scaleBadges = createBadgeOverlay(this.el)
+    renderScaleBadges(this.scaleBadges, readScales(this.el))
   },
 
   createStarfield() {
@@ -283,19 +289,12 @@ export const MagnetosphereAnimation = {
       .attr('stroke-width', 1)
       .attr('rx', 3)
     
-    // KP scale labels and colors (0-9)
-    const kpScale = [
-      { value: 9, color: '#ff0000', label: 'G5' },  // Extreme storm
-      { value: 8, color: '#ff3300', label: 'G4' },  // Severe storm
-      { value: 7, color: '#ff6600', label: 'G3' },  // Strong storm
-      { value: 6, color: '#ff9900', label: 'G2' },  // Moderate storm
-      { value: 5, color: '#ffcc00', label: 'G1' },  // Minor storm
-      { value: 4, color: '#ffff00', label: 'A0' },  // Active
-      { value: 3, color: '#66ff00', label: 'U0' },  // Unsettled
-      { value: 2, color: '#00ff00', label: 'Q0' },  // Quiet
-      { value: 1, color: '#00cc00', label: 'Q0' },  // Very quiet
-      { value: 0, color: '#009900', label: 'Q0' }   // Extremely quiet
-    ]
+    // NOAA G-scale levels from their lowest Kp (0-9)
+    const kpScale = [0, ...NOAA_SCALES.G.thresholds].map((value, level) => ({
+      value,
+      color: SCALE_COLORS[level],
+      label: scaleInfo('G', level).code
+    }))
     
     // Create gradient for smooth color transition
     const gradientId = 'kpGradient'
@@ -308,7 +307,7 @@ export const MagnetosphereAnimation = {
     
     kpScale.forEach((item, i) => {
       gradient.append('stop')
-        .attr('offset', `${(9 - item.value) * 11.11}%`)
+        .attr('offset', `${(item.value / 9) * 100}%`)
         .attr('stop-color', item.color)
     })
     
@@ -32,6 +32,27 @@ config :tailwind,
     cd: Path.expand("../assets", __DIR__)
   ]
 
+# Rules the political news feed uses to tag articles as breaking/urgent
+# (client-side defaults live in assets/js/breaking_news.js)
+config :global_pulse, :breaking_news_rules, %{
+  breaking_max_age_minutes: 60,
+  urgent_max_age_minutes: 15,
+  min_sources: 2,
+  similarity: 0.5,
+  sentiment_shift: 0.4,
+  min_signals: 1,
+  urgent_signals: 2
+}
+
+# Where the earthquake globe loads its Earth textures from. The default is
+# served from priv/static/images/globe so the globe works offline; point it at
+# a CDN or another static host if preferred.
+config :global_pulse, :globe_texture_base_url, "/images/globe"
+
+# Default earthquake globe renderer: "globe" (globe.gl), "lite" (plain three.js,
+# no textures, for low-end kiosks) or "flat" (2D map). ?renderer= overrides it.
+config :global_pulse, :earthquake_globe_renderer, "globe"
+
 config :logger, :console,
   format: "$time $metadata[$level] $message\n",
   metadata: [:request_id]
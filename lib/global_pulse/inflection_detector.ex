@@ -17,6 +17,25 @@ defmodule GlobalPulse.InflectionDetector do
     {:ok, %{data_buffer: [], inflection_points: []}}
   end
 
+  @doc """
+  Flags the turning points of a `{timestamp, value}` series (oldest first):
+  the highs and lows after which the value reversed by at least `min_swing`
+  of the series' overall span. Smaller wiggles are ignored.
+  """
+  def inflection_points(series, min_swing \\ 0.1)
+
+  def inflection_points(series, _min_swing) when length(series) < 3, do: []
+
+  def inflection_points([first | rest] = series, min_swing) do
+    values = Enum.map(series, fn {_, value} -> value end)
+    threshold = (Enum.max(values) - Enum.min(values)) * min_swing
+
+    {_direction, _pivot, flagged} =
+      Enum.reduce(rest, {nil, first, []}, &track_swing(&1, &2, threshold))
+
+    Enum.reverse(flagged)
+  end
+
   def handle_info({:update, data}, state) do
     new_buffer = [%{data: data, timestamp: DateTime.utc_now()} | state.data_buffer]
     |> Enum.take(100)
@@ -48,6 +67,20 @@ defmodule GlobalPulse.InflectionDetector do
     []
   end
 
+  # `pivot` is the latest high (while rising) or low (while falling); it is
+  # flagged once the value moves back from it by at least `threshold`
+  defp track_swing({_, value} = point, {direction, {_, extreme} = pivot, flagged}, threshold) do
+    cond do
+      direction == :up and value >= extreme -> {:up, point, flagged}
+      direction == :down and value <= extreme -> {:down, point, flagged}
+      direction == :up and extreme - value >= threshold -> {:down, point, [pivot | flagged]}
+      direction == :down and value - extreme >= threshold -> {:up, point, [pivot | flagged]}
+      direction == nil and threshold > 0 and abs(value - extreme) >= threshold ->
+        {if(value > extreme, do: :up, else: :down), point, flagged}
+      true -> {direction, pivot, flagged}
+    end
+  end
+
   defp schedule_detection do
     Process.send_after(self(), :detect_inflections, 60_000)
   end
@@ -14,6 +14,8 @@ defmodule GlobalPulse.Services.GaugeDataManager do
   @update_interval 60_000  # 1 minute
   @max_history_days 30
   @smoothing_factor 0.3    # For exponential smoothing
+  @smoothed_history_days 7 # Longest history panel period
+  @full_resolution_hours 24
   
   defmodule GaugeData do
     defstruct [
@@ -28,7 +30,8 @@ defmodule GlobalPulse.Services.GaugeDataManager do
       :last_updated,       # DateTime
       :value_range,        # {min, max} for normalization
       :color_scheme,       # Color configuration
-      :history             # List of {timestamp, value} tuples
+      :history,            # List of {timestamp, value} tuples
+      :smoothed_history    # List of {timestamp, smoothed_value} tuples
     ]
   end
   
@@ -52,6 +55,15 @@ defmodule GlobalPulse.Services.GaugeDataManager do
     GenServer.call(__MODULE__, :get_all_gauges)
   end
   
+  @doc """
+  Smoothed values for `category` over the last `seconds`, oldest first, with
+  the current baselines and the turning points flagged by InflectionDetector.
+  Timestamps are Unix milliseconds, ready for the history chart.
+  """
+  def get_history(category, seconds) do
+    GenServer.call(__MODULE__, {:get_history, category, seconds})
+  end
+  
   # ============================================================================
   # GENSERVER CALLBACKS
   # ============================================================================
@@ -81,6 +93,11 @@ defmodule GlobalPulse.Services.GaugeDataManager do
     {:reply, state, state}
   end
   
+  def handle_call({:get_history, category, seconds}, _from, state) do
+    gauge_data = Map.get(state, category, initialize_gauge_data(category))
+    {:reply, history_series(gauge_data, seconds), state}
+  end
+  
   def handle_cast({:update_value, category, value, metadata}, state) do
     case Map.get(state, category) do
       nil -> 
@@ -129,7 +146,8 @@ defmodule GlobalPulse.Services.GaugeDataManager do
       last_updated: DateTime.utc_now(),
       value_range: {-1.0, 1.0},
       color_scheme: sentiment_color_scheme(),
-      history: []
+      history: [],
+      smoothed_history: []
     }
   end
   
@@ -146,7 +164,8 @@ defmodule GlobalPulse.Services.GaugeDataManager do
       last_updated: DateTime.utc_now(),
       value_range: {0.0, 100.0},
       color_scheme: financial_color_scheme(),
-      history: []
+      history: [],
+      smoothed_history: []
     }
   end
   
@@ -163,7 +182,8 @@ defmodule GlobalPulse.Services.GaugeDataManager do
       last_updated: DateTime.utc_now(),
       value_range: {0.0, 10.0},
       color_scheme: natural_events_color_scheme(),
-      history: []
+      history: [],
+      smoothed_history: []
     }
   end
   
@@ -180,7 +200,8 @@ defmodule GlobalPulse.Services.GaugeDataManager do
       last_updated: DateTime.utc_now(),
       value_range: {0.0, 100.0},
       color_scheme: social_trends_color_scheme(),
-      history: []
+      history: [],
+      smoothed_history: []
     }
   end
   
@@ -247,6 +268,7 @@ defmodule GlobalPulse.Services.GaugeDataManager do
     
     # Update history (keep last 30 days)
     updated_history = update_history(current_data.history, {now, normalized_value})
+    updated_smoothed_history = update_smoothed_history(current_data.smoothed_history || [], {now, smoothed_value})
     
     # Calculate baselines
     baseline_7d = calculate_baseline(updated_history, 7)
@@ -267,7 +289,8 @@ defmodule GlobalPulse.Services.GaugeDataManager do
       trend_strength: trend_strength,
       confidence: confidence,
       last_updated: now,
-      history: updated_history
+      history: updated_history,
+      smoothed_history: updated_smoothed_history
     }
   end
   
@@ -294,6 +317,34 @@ defmodule GlobalPulse.Services.GaugeDataManager do
     |> Enum.take(1000)  # Limit to 1000 points max
   end
   
+  # Every point for the last day, then hourly averages back to the longest
+  # history period. The boundary is an hour start, so each hour is averaged
+  # once, when all of it has aged out, and its average is left alone after.
+  # Public for tests only
+  @doc false
+  def update_smoothed_history(history, {timestamp, value}) do
+    cutoff_time = DateTime.add(timestamp, -@smoothed_history_days, :day)
+    full_resolution_from = hour_of(DateTime.add(timestamp, -@full_resolution_hours, :hour)) * 3600
+    
+    {recent, older} = [{timestamp, value} | history]
+    |> Enum.filter(fn {ts, _} -> DateTime.compare(ts, cutoff_time) == :gt end)
+    |> Enum.split_while(fn {ts, _} -> DateTime.to_unix(ts) >= full_resolution_from end)
+    
+    recent ++ hourly_averages(older)
+  end
+  
+  # Newest-first points to one point per hour, placed mid-hour
+  defp hourly_averages(points) do
+    points
+    |> Enum.chunk_by(fn {ts, _} -> hour_of(ts) end)
+    |> Enum.map(fn [{ts, _} | _] = bucket ->
+      values = Enum.map(bucket, fn {_, value} -> value end)
+      {DateTime.from_unix!(hour_of(ts) * 3600 + 1800), Enum.sum(values) / length(values)}
+    end)
+  end
+  
+  defp hour_of(timestamp), do: div(DateTime.to_unix(timestamp), 3600)
+  
   defp calculate_baseline(history, days) do
     if length(history) < 2 do
       0.0
@@ -378,6 +429,24 @@ defmodule GlobalPulse.Services.GaugeDataManager do
     %{data | baseline_7d: baseline_7d, baseline_30d: baseline_30d}
   end
   
+  defp history_series(data, seconds) do
+    cutoff_time = DateTime.add(DateTime.utc_now(), -seconds, :second)
+    
+    points = (data.smoothed_history || [])
+    |> Enum.filter(fn {ts, _} -> DateTime.compare(ts, cutoff_time) == :gt end)
+    |> Enum.reverse()
+    
+    %{
+      points: Enum.map(points, &chart_point/1),
+      inflections: points |> GlobalPulse.InflectionDetector.inflection_points() |> Enum.map(&chart_point/1),
+      baseline_7d: data.baseline_7d,
+      baseline_30d: data.baseline_30d,
+      range: Tuple.to_list(data.value_range)
+    }
+  end
+  
+  defp chart_point({timestamp, value}), do: [DateTime.to_unix(timestamp, :millisecond), value]
+  
   # ============================================================================
   # PUBSUB BROADCASTING
   # ============================================================================
@@ -8,6 +8,7 @@ defmodule GlobalPulse.Services.NOAASpaceWeather do
   
   @base_url "https://services.swpc.noaa.gov"
   @timeout 10_000
+  @kp_history_hours 72
   
   @doc """
   Fetches all space weather data from NOAA SWPC
@@ -20,6 +21,16 @@ defmodule GlobalPulse.Services.NOAASpaceWeather do
          {:ok, solar_flares} <- fetch_solar_flares(),
          {:ok, geomagnetic} <- fetch_geomagnetic_data() do
       
+      # Kp history and forecast only feed the Kp chart, so a failure there
+      # doesn't fail the whole refresh
+      geomagnetic = Map.merge(geomagnetic, %{
+        kp_history: fetch_kp_history(),
+        kp_forecast: fetch_kp_forecast()
+      })
+      
+      # Likewise the IMF only refines the magnetosphere model
+      solar_wind = Map.merge(solar_wind, fetch_imf())
+      
       complete_data = %{
         solar_wind: solar_wind,
         geomagnetic_storm: geomagnetic,
@@ -64,6 +75,28 @@ defmodule GlobalPulse.Services.NOAASpaceWeather do
     end
   end
   
+  @doc """
+  Fetches the interplanetary magnetic field for the last 6 hours as
+  `%{imf_bz: float, imf_bt: float, imf_history: [%{time: iso8601, bz: float, bt: float}]}`
+  in nT (Bz in GSM coordinates), with the latest reading in `imf_bz`/`imf_bt`
+  and the 1-minute history oldest first. Returns %{} on failure.
+  """
+  def fetch_imf do
+    url = "#{@base_url}/products/solar-wind/mag-6-hour.json"
+    Logger.info("🧲 NOAA IMF API: Fetching from #{url}")
+    
+    case HTTPoison.get(url, [], timeout: @timeout, recv_timeout: @timeout) do
+      {:ok, %{status_code: 200, body: body}} ->
+        parse_imf(body)
+      {:ok, %{status_code: status_code}} ->
+        Logger.warning("🧲 NOAA IMF API: HTTP #{status_code} error")
+        %{}
+      {:error, %HTTPoison.Error{reason: reason}} ->
+        Logger.error("🧲 NOAA IMF API: Connection error - #{reason}")
+        %{}
+    end
+  end
+  
   @doc """
   Fetches current KP index and geomagnetic storm data
   """
@@ -85,6 +118,46 @@ defmodule GlobalPulse.Services.NOAASpaceWeather do
     end
   end
   
+  @doc """
+  Fetches the 3-hourly planetary Kp values for the last 72 hours as
+  `%{time: iso8601, kp: float}` maps, oldest first. Returns [] on failure.
+  """
+  def fetch_kp_history do
+    url = "#{@base_url}/products/noaa-planetary-k-index.json"
+    Logger.info("🧲 NOAA KP History API: Fetching from #{url}")
+    
+    case HTTPoison.get(url, [], timeout: @timeout, recv_timeout: @timeout) do
+      {:ok, %{status_code: 200, body: body}} ->
+        parse_kp_history(body)
+      {:ok, %{status_code: status_code}} ->
+        Logger.warning("🧲 NOAA KP History API: HTTP #{status_code} error")
+        []
+      {:error, %HTTPoison.Error{reason: reason}} ->
+        Logger.error("🧲 NOAA KP History API: Connection error - #{reason}")
+        []
+    end
+  end
+  
+  @doc """
+  Fetches SWPC's predicted 3-hourly Kp for the next three days, in the same
+  shape as `fetch_kp_history/0`. Returns [] on failure.
+  """
+  def fetch_kp_forecast do
+    url = "#{@base_url}/products/noaa-planetary-k-index-forecast.json"
+    Logger.info("🧲 NOAA KP Forecast API: Fetching from #{url}")
+    
+    case HTTPoison.get(url, [], timeout: @timeout, recv_timeout: @timeout) do
+      {:ok, %{status_code: 200, body: body}} ->
+        parse_kp_forecast(body)
+      {:ok, %{status_code: status_code}} ->
+        Logger.warning("🧲 NOAA KP Forecast API: HTTP #{status_code} error")
+        []
+      {:error, %HTTPoison.Error{reason: reason}} ->
+        Logger.error("🧲 NOAA KP Forecast API: Connection error - #{reason}")
+        []
+    end
+  end
+  
   @doc """
   Fetches recent solar flare data
   """
@@ -163,6 +236,34 @@ defmodule GlobalPulse.Services.NOAASpaceWeather do
     end
   end
   
+  # Header row first, then [time_tag, bx_gsm, by_gsm, bz_gsm, lon_gsm, lat_gsm, bt]
+  # rows with string values and "2024-05-10 21:00:00.000" style UTC timestamps;
+  # rows with a missing reading are skipped. Public for tests only
+  @doc false
+  def parse_imf(body) do
+    with {:ok, [_header | rows]} <- Jason.decode(body),
+         [_ | _] = history <- Enum.flat_map(rows, &imf_point/1) do
+      latest = List.last(history)
+      imf = %{imf_bz: latest.bz, imf_bt: latest.bt, imf_history: history}
+      Logger.info("🧲 Parsed IMF: Bz=#{imf.imf_bz} nT, Bt=#{imf.imf_bt} nT (#{length(history)} readings)")
+      imf
+    else
+      _ ->
+        Logger.warning("NOAA Space Weather: No valid IMF data available from API")
+        %{}
+    end
+  end
+  
+  defp imf_point([time_tag, _bx, _by, bz, _lon, _lat, bt | _]) do
+    case {json_number(bz), json_number(bt), DateTime.from_iso8601(String.replace(to_string(time_tag), " ", "T") <> "Z")} do
+      {bz, bt, {:ok, time, _}} when is_number(bz) and is_number(bt) ->
+        [%{time: DateTime.to_iso8601(time), bz: Float.round(bz * 1.0, 2), bt: Float.round(bt * 1.0, 2)}]
+      _ ->
+        []
+    end
+  end
+  defp imf_point(_), do: []
+  
   defp parse_kp_index(body) do
     case Jason.decode(body) do
       {:ok, data} ->
@@ -189,6 +290,44 @@ defmodule GlobalPulse.Services.NOAASpaceWeather do
     end
   end
   
+  # The Kp parsers are public for tests only
+  @doc false
+  def parse_kp_history(body) do
+    parse_kp_series(body, fn _row -> true end)
+    |> Enum.take(-div(@kp_history_hours, 3))
+  end
+  
+  # Rows are [time_tag, kp, "observed" | "estimated" | "predicted", noaa_scale]
+  @doc false
+  def parse_kp_forecast(body) do
+    parse_kp_series(body, fn row -> Enum.at(row, 2) == "predicted" end)
+  end
+  
+  # Header row first, then [time_tag, kp | _] rows with "2024-05-10 21:00:00"
+  # style UTC timestamps
+  defp parse_kp_series(body, keep_row?) do
+    case Jason.decode(body) do
+      {:ok, [_header | rows]} ->
+        rows
+        |> Enum.filter(fn row -> is_list(row) and length(row) >= 2 and keep_row?.(row) end)
+        |> Enum.flat_map(fn [time_tag, kp | _] ->
+          case {json_number(kp), DateTime.from_iso8601(String.replace(to_string(time_tag), " ", "T") <> "Z")} do
+            {kp, {:ok, time, _}} when is_number(kp) ->
+              [%{time: DateTime.to_iso8601(time), kp: Float.round(kp * 1.0, 2)}]
+            _ ->
+              []
+          end
+        end)
+      _ ->
+        Logger.warning("NOAA Space Weather: Could not parse Kp series")
+        []
+    end
+  end
+  
+  defp json_number(value) when is_number(value), do: value
+  defp json_number(value) when is_binary(value), do: parse_number(value)
+  defp json_number(_), do: nil
+  
   defp parse_solar_flares(body) do
     case Jason.decode(body) do
       {:ok, data} ->
@@ -262,12 +401,18 @@ defmodule GlobalPulse.Services.NOAASpaceWeather do
   defp parse_geomagnetic_data(body) do
     case Jason.decode(body) do
       {:ok, %{"-1" => scales}} ->
-        # Get G-scale (geomagnetic) data
-        g_scale = Map.get(scales, "G", %{"Scale" => "0"})
-        scale_value = String.to_integer(Map.get(g_scale, "Scale", "0"))
-        
-        geomagnetic_data = build_geomagnetic_data(scale_value)
+        # G-scale (geomagnetic) drives the Kp estimate; S (radiation) and
+        # R (radio blackout) are passed through for the scale badges
+        geomagnetic_data =
+          scales
+          |> scale_level("G")
+          |> build_geomagnetic_data()
+          |> Map.merge(%{
+            s_scale: scale_level(scales, "S"),
+            r_scale: scale_level(scales, "R")
+          })
         Logger.info("🌍 Parsed Geomagnetic: G#{geomagnetic_data.g_scale} scale, KP=#{geomagnetic_data.kp_index}, Severity=#{geomagnetic_data.severity}")
+        Logger.info("🌍   Radiation S#{geomagnetic_data.s_scale}, Radio blackout R#{geomagnetic_data.r_scale}")
         Logger.info("🌍   Aurora visible at latitude: #{geomagnetic_data.aurora_visibility_lat}°")
         {:ok, geomagnetic_data}
       {:ok, _} ->
@@ -278,6 +423,21 @@ defmodule GlobalPulse.Services.NOAASpaceWeather do
     end
   end
   
+  # NOAA reports each scale as %{"Scale" => "0".."5"}; missing or null is 0.
+  # Public for tests only
+  @doc false
+  def scale_level(scales, key) do
+    case get_in(scales, [key, "Scale"]) do
+      level when is_integer(level) -> level
+      level when is_binary(level) ->
+        case Integer.parse(level) do
+          {value, _} -> value
+          :error -> 0
+        end
+      _ -> 0
+    end
+  end
+  
   defp build_geomagnetic_data(g_scale) do
     # G-scale to KP index approximation
     kp_index = case g_scale do
@@ -1,5 +1,5 @@
 defmodule GlobalPulseWeb do
-  def static_paths, do: ~w(assets fonts images favicon.ico robots.txt)
+  def static_paths, do: ~w(assets fonts images geo favicon.ico robots.txt)
 
   def router do
     quote do
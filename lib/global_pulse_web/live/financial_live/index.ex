@@ -1,6 +1,13 @@
 defmodule GlobalPulseWeb.FinancialLive.Index do
   use GlobalPulseWeb, :live_view
   
+  # Number of indicator points kept for the overview sparklines
+  @indicator_history_size 30
+  
+  # Time range selector options, kept in step with TIME_RANGES in
+  # assets/js/financial_charts.js
+  @time_ranges ["1H", "6H", "1D"]
+  
   @impl true
   def mount(_params, _session, socket) do
     if connected?(socket) do
@@ -15,6 +22,7 @@ defmodule GlobalPulseWeb.FinancialLive.Index do
     end
     
     initial_data = fetch_financial_data()
+    initial_indicators = calculate_market_indicators(initial_data)
     
     {:ok,
      socket
@@ -29,7 +37,8 @@ defmodule GlobalPulseWeb.FinancialLive.Index do
      |> assign(:chart_data, prepare_chart_data(initial_data))
      |> assign(:selected_asset, "BTC")
      |> assign(:time_range, "1D")
-     |> assign(:market_indicators, calculate_market_indicators(initial_data))
+     |> assign(:market_indicators, initial_indicators)
+     |> assign(:indicator_history, List.wrap(indicator_point(initial_data, initial_indicators)))
      |> assign(:top_gainers, [])
      |> assign(:top_losers, [])}
   end
@@ -37,6 +46,7 @@ defmodule GlobalPulseWeb.FinancialLive.Index do
   @impl true
   def handle_info(:fetch_data, socket) do
     data = fetch_financial_data()
+    indicators = calculate_market_indicators(data)
     
     {:noreply,
      socket
@@ -45,20 +55,34 @@ defmodule GlobalPulseWeb.FinancialLive.Index do
      |> assign(:forex, data.forex)
      |> assign(:commodities, data.commodities)
      |> assign(:chart_data, prepare_chart_data(data))
-     |> assign(:market_indicators, calculate_market_indicators(data))
-     |> push_event("update-charts", %{data: prepare_chart_data(data)})}
+     |> assign(:market_indicators, indicators)
+     |> append_indicator_point(data, indicators)
+     |> push_event("update-charts", %{data: prepare_chart_data(data), timestamp: System.system_time(:millisecond)})}
   end
   
   def handle_info({:update, data}, socket) do
+    merged = %{
+      stocks: data[:stocks] || socket.assigns.stocks,
+      crypto: data[:crypto] || socket.assigns.crypto,
+      forex: data[:forex] || socket.assigns.forex,
+      commodities: data[:commodities] || socket.assigns.commodities
+    }
+    indicators = calculate_market_indicators(merged)
+    # From the merged view, so kinds missing from a partial update keep their
+    # data in the charts
+    chart_data = prepare_chart_data(merged)
+    
     {:noreply,
      socket
-     |> assign(:stocks, data[:stocks] || socket.assigns.stocks)
-     |> assign(:crypto, data[:crypto] || socket.assigns.crypto)
-     |> assign(:forex, data[:forex] || socket.assigns.forex)
-     |> assign(:commodities, data[:commodities] || socket.assigns.commodities)
+     |> assign(:stocks, merged.stocks)
+     |> assign(:crypto, merged.crypto)
+     |> assign(:forex, merged.forex)
+     |> assign(:commodities, merged.commodities)
      |> assign(:last_update, DateTime.utc_now())
-     |> assign(:chart_data, prepare_chart_data(data))
-     |> push_event("update-charts", %{data: prepare_chart_data(data)})}
+     |> assign(:chart_data, chart_data)
+     |> assign(:market_indicators, indicators)
+     |> append_indicator_point(merged, indicators)
+     |> push_event("update-charts", %{data: chart_data, timestamp: System.system_time(:millisecond)})}
   end
   
   def handle_info({:new_anomalies, anomalies}, socket) do
@@ -101,13 +125,17 @@ defmodule GlobalPulseWeb.FinancialLive.Index do
      |> push_event("highlight-asset", %{asset: asset})}
   end
   
-  def handle_event("change-time-range", %{"range" => range}, socket) do
+  def handle_event("change-time-range", %{"range" => range}, socket) when range in @time_ranges do
     {:noreply, 
      socket
      |> assign(:time_range, range)
      |> push_event("update-time-range", %{range: range})}
   end
   
+  def handle_event("change-time-range", _params, socket), do: {:noreply, socket}
+  
+  defp time_ranges, do: @time_ranges
+  
   defp fetch_financial_data do
     case GlobalPulse.FinancialMonitor.get_latest_data() do
       data when is_map(data) -> data
@@ -232,12 +260,63 @@ defmodule GlobalPulseWeb.FinancialLive.Index do
     |> round()
   end
   
-  defp calculate_market_cap_change(_data) do
-    :rand.uniform() * 10 - 5
+  # Volume-weighted 24h % change across tracked crypto and stock assets
+  defp calculate_market_cap_change(data) do
+    assets = Map.values(data[:crypto] || %{}) ++ Map.values(data[:stocks] || %{})
+    total_volume = assets |> Enum.map(&(&1[:volume] || 0)) |> Enum.sum()
+    
+    if total_volume > 0 do
+      weighted_change = assets
+        |> Enum.map(&((&1[:change_percent_24h] || 0) * (&1[:volume] || 0)))
+        |> Enum.sum()
+      
+      weighted_change / total_volume
+    else
+      0.0
+    end
+  end
+  
+  defp calculate_volatility(data) do
+    assets = Map.values(data[:crypto] || %{}) ++ Map.values(data[:stocks] || %{})
+    
+    if length(assets) > 0 do
+      avg_move = assets
+        |> Enum.map(&abs(&1[:change_percent_24h] || 0))
+        |> Enum.sum()
+        |> Kernel./(length(assets))
+      
+      # Scale to 0-100: 10% average absolute move = 100
+      min(avg_move * 10, 100.0)
+    else
+      0.0
+    end
   end
   
-  defp calculate_volatility(_data) do
-    15 + :rand.uniform() * 35
+  defp append_indicator_point(socket, data, indicators) do
+    case indicator_point(data, indicators) do
+      nil ->
+        socket
+      
+      point ->
+        history = Enum.take(socket.assigns.indicator_history ++ [point], -@indicator_history_size)
+        
+        socket
+        |> assign(:indicator_history, history)
+        |> push_event("market-indicators", point)
+    end
+  end
+  
+  # Only emit a point once the monitor has real assets; an empty snapshot
+  # would otherwise produce neutral placeholder values
+  defp indicator_point(data, indicators) do
+    if map_size(data[:crypto] || %{}) + map_size(data[:stocks] || %{}) > 0 do
+      %{
+        timestamp: System.system_time(:millisecond),
+        fear_greed: indicators.fear_greed_index,
+        market_cap_change: Float.round(indicators.market_cap_change * 1.0, 3),
+        volatility: Float.round(indicators.volatility_index * 1.0, 2)
+      }
+    end
   end
   
   defp calculate_correlations(_data) do
@@ -70,6 +70,26 @@ defmodule GlobalPulseWeb.GaugeComponent do
     end
   end
 
+  @history_periods %{"24h" => 24 * 3600, "7d" => 7 * 24 * 3600}
+
+  # Drill-down panel data; the gauge hooks push this on click and render the
+  # reply with ApexCharts
+  def handle_event("gauge_history", params, socket) do
+    period = if Map.has_key?(@history_periods, params["period"]), do: params["period"], else: "24h"
+
+    history =
+      try do
+        GlobalPulse.Services.GaugeDataManager.get_history(socket.assigns.category, @history_periods[period])
+      catch
+        :exit, reason ->
+          Logger.warning("🎯 GaugeComponent: Could not load history for #{socket.assigns.category}: #{inspect(reason)}")
+          %{points: [], inflections: [], baseline_7d: nil, baseline_30d: nil,
+            range: Tuple.to_list(socket.assigns.gauge_data.value_range)}
+      end
+
+    {:reply, Map.put(history, :period, period), socket}
+  end
+
   def render(assigns) do
     ~H"""
     <div class="relative overflow-hidden">
@@ -89,6 +109,10 @@ defmodule GlobalPulseWeb.GaugeComponent do
           class="w-full relative rounded-xl overflow-visible flex items-center justify-center"
           style="aspect-ratio: 1; max-width: 280px; margin: 0 auto; background: radial-gradient(circle at center, rgba(59, 130, 246, 0.1) 0%, rgba(0, 0, 0, 0.3) 70%);"
           phx-hook="ProfessionalGauge"
+          role="button"
+          tabindex="0"
+          aria-label={"Show #{gauge_title(@category)} history"}
+          data-title={gauge_title(@category)}
           data-category={@category}
           data-value={@gauge_data.smoothed_value}
           data-baseline-7d={@gauge_data.baseline_7d}
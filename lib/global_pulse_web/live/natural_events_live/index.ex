@@ -2,7 +2,7 @@ defmodule GlobalPulseWeb.NaturalEventsLive.Index do
   use GlobalPulseWeb, :live_view
 
   @impl true
-  def mount(_params, _session, socket) do
+  def mount(params, _session, socket) do
     if connected?(socket) do
       Phoenix.PubSub.subscribe(GlobalPulse.PubSub, "natural_events")
       Phoenix.PubSub.subscribe(GlobalPulse.PubSub, "anomalies")
@@ -25,9 +25,18 @@ defmodule GlobalPulseWeb.NaturalEventsLive.Index do
      |> assign(:hurricanes, initial_data.hurricanes)
      |> assign(:wildfires, initial_data.wildfires)
      |> assign(:space_weather, initial_data.space_weather)
-     |> assign(:selected_event_type, "all")}
+     |> assign(:selected_event_type, "all")
+     |> assign(:selected_earthquake_id, nil)
+     |> assign(:globe_texture_base_url, Application.get_env(:global_pulse, :globe_texture_base_url, "/images/globe"))
+     |> assign(:globe_renderer, globe_renderer(params))}
   end
 
+  @globe_renderers ~w(globe lite flat)
+
+  # ?renderer=lite overrides the configured default, e.g. on a kiosk
+  defp globe_renderer(%{"renderer" => renderer}) when renderer in @globe_renderers, do: renderer
+  defp globe_renderer(_params), do: Application.get_env(:global_pulse, :earthquake_globe_renderer, "globe")
+
   @impl true
   def handle_info({:update, data}, socket) do
     {:noreply,
@@ -62,6 +71,17 @@ defmodule GlobalPulseWeb.NaturalEventsLive.Index do
   def handle_event("filter-events", %{"type" => type}, socket) do
     {:noreply, assign(socket, :selected_event_type, type)}
   end
+
+  # Sent by the globe when a point is clicked and by rows in the earthquake list
+  def handle_event("select_earthquake", params, socket) do
+    id =
+      case params["id"] do
+        id when is_binary(id) and id != "" -> id
+        _ -> nil
+      end
+
+    {:noreply, assign(socket, :selected_earthquake_id, id)}
+  end
   
   defp get_initial_natural_events_data do
     case GlobalPulse.NaturalEventsMonitor.get_latest_data() do
@@ -93,6 +113,20 @@ defmodule GlobalPulseWeb.NaturalEventsLive.Index do
       }
   end
 
+  # Top 5 rows of the list, plus the selected quake when it falls outside them
+  defp listed_earthquakes(earthquakes, selected_id) do
+    featured = Enum.take(earthquakes, 5)
+
+    case Enum.find(earthquakes, &(&1[:id] == selected_id)) do
+      nil -> featured
+      selected -> if selected in featured, do: featured, else: featured ++ [selected]
+    end
+  end
+
+  defp featured_earthquake_ids(earthquakes) do
+    earthquakes |> Enum.take(5) |> Enum.map(& &1[:id])
+  end
+
   defp format_magnitude(magnitude) when is_number(magnitude) do
     magnitude |> :erlang.float() |> Float.round(1)
   end
@@ -587,6 +621,23 @@ defmodule GlobalPulseWeb.NaturalEventsLive.Index do
   end
   defp get_space_weather_kp(_), do: 0
   
+  # 3-hourly Kp series for the KP chart, as JSON for data-kp-history/-forecast
+  defp get_kp_series_json(space_weather, key) when is_map(space_weather) do
+    Jason.encode!(get_in(space_weather, [:geomagnetic_storm, key]) || [])
+  end
+  defp get_kp_series_json(_, _), do: "[]"
+  
+  # Current NOAA G/S/R levels as JSON for data-noaa-scales, e.g. {"G":2,"R":1,"S":0}
+  defp get_noaa_scales_json(space_weather) when is_map(space_weather) do
+    storm = space_weather[:geomagnetic_storm] || %{}
+    Jason.encode!(%{
+      G: storm[:g_scale] || 0,
+      S: storm[:s_scale] || 0,
+      R: storm[:r_scale] || 0
+    })
+  end
+  defp get_noaa_scales_json(_), do: "{}"
+  
   defp get_solar_wind_speed(:no_data_stream), do: 0
   defp get_solar_wind_speed(space_weather) when is_map(space_weather) do
     get_in(space_weather, [:solar_wind, :speed]) || 0
@@ -605,6 +656,19 @@ defmodule GlobalPulseWeb.NaturalEventsLive.Index do
   end
   defp get_solar_wind_temperature(_), do: 0
   
+  # IMF Bz in nT (GSM); 0 when no magnetometer reading came through
+  defp get_imf_bz(:no_data_stream), do: 0
+  defp get_imf_bz(space_weather) when is_map(space_weather) do
+    get_in(space_weather, [:solar_wind, :imf_bz]) || 0
+  end
+  defp get_imf_bz(_), do: 0
+  
+  # 1-minute IMF readings for the IMF panel, as JSON for data-imf-history
+  defp get_imf_history_json(space_weather) when is_map(space_weather) do
+    Jason.encode!(get_in(space_weather, [:solar_wind, :imf_history]) || [])
+  end
+  defp get_imf_history_json(_), do: "[]"
+  
   defp get_aurora_visibility(:no_data_stream), do: 90
   defp get_aurora_visibility(space_weather) when is_map(space_weather) do
     get_in(space_weather, [:geomagnetic_storm, :aurora_visibility_lat]) || 90
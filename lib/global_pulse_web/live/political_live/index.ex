@@ -28,7 +28,8 @@ defmodule GlobalPulseWeb.PoliticalLive.Index do
      |> assign(:trending_topics, initial_data.trending || [])
      |> assign(:events, initial_data.events || [])
      |> assign(:social_trends, initial_data.social || [])
-     |> assign(:google_trends, google_trends)}
+     |> assign(:google_trends, google_trends)
+     |> assign(:breaking_rules, Application.get_env(:global_pulse, :breaking_news_rules, %{}))}
   end
 
   @impl true
@@ -350,6 +351,17 @@ defmodule GlobalPulseWeb.PoliticalLive.Index do
     Float.round(value, 2)
   end
   
+  # Stable per-article key for client-side read tracking
+  defp article_id(article) do
+    {article[:source], article[:title]}
+    |> :erlang.phash2()
+    |> Integer.to_string()
+  end
+  
+  defp published_at_iso(%DateTime{} = datetime), do: DateTime.to_iso8601(datetime)
+  defp published_at_iso(%NaiveDateTime{} = datetime), do: NaiveDateTime.to_iso8601(datetime) <> "Z"
+  defp published_at_iso(_), do: nil
+  
   defp political_sentiment_class(sentiment) when sentiment > 0.2, do: "bg-green-500/20 text-green-400"
   defp political_sentiment_class(sentiment) when sentiment < -0.2, do: "bg-red-500/20 text-red-400"
   defp political_sentiment_class(_), do: "bg-yellow-500/20 text-yellow-400"
@@ -0,0 +1,36 @@
+defmodule GlobalPulse.InflectionDetectorTest do
+  use ExUnit.Case, async: true
+
+  alias GlobalPulse.InflectionDetector
+
+  describe "inflection_points/2" do
+    test "flags each high and low the series reverses from" do
+      series = [{1, 0}, {2, 10}, {3, 2}, {4, 8}, {5, 1}]
+
+      assert InflectionDetector.inflection_points(series) == [{2, 10}, {3, 2}, {4, 8}]
+    end
+
+    test "ignores wiggles smaller than min_swing of the overall span" do
+      series = [{1, 0}, {2, 5}, {3, 4.8}, {4, 10}, {5, 0}]
+
+      assert InflectionDetector.inflection_points(series) == [{4, 10}]
+    end
+
+    test "a larger min_swing keeps only the big reversals" do
+      series = [{1, 0}, {2, 10}, {3, 2}, {4, 8}, {5, 1}]
+
+      assert InflectionDetector.inflection_points(series, 0.7) == [{2, 10}]
+    end
+
+    test "does not flag the last point, which has nothing after it" do
+      assert InflectionDetector.inflection_points([{1, 0}, {2, 10}, {3, 0}, {4, 10}]) == [{2, 10}, {3, 0}]
+    end
+
+    test "returns nothing for short, flat or monotonic series" do
+      assert InflectionDetector.inflection_points([]) == []
+      assert InflectionDetector.inflection_points([{1, 0}, {2, 10}]) == []
+      assert InflectionDetector.inflection_points([{1, 3}, {2, 3}, {3, 3}]) == []
+      assert InflectionDetector.inflection_points([{1, 1}, {2, 2}, {3, 4}, {4, 8}]) == []
+    end
+  end
+end
@@ -0,0 +1,53 @@
+defmodule GlobalPulse.Services.GaugeDataManagerTest do
+  use ExUnit.Case, async: true
+
+  alias GlobalPulse.Services.GaugeDataManager
+
+  describe "update_smoothed_history/2" do
+    # Newest first, as the manager keeps it
+    @history [
+      {~U[2024-05-10 12:00:00Z], 1.0},
+      {~U[2024-05-09 12:10:00Z], 2.0},
+      {~U[2024-05-09 11:50:00Z], 3.0},
+      {~U[2024-05-09 11:10:00Z], 5.0},
+      {~U[2024-05-09 09:30:00Z], 6.0},
+      {~U[2024-05-02 12:00:00Z], 9.0}
+    ]
+
+    test "keeps the last day as is and averages older points per hour" do
+      assert GaugeDataManager.update_smoothed_history(@history, {~U[2024-05-10 12:30:00Z], 0.5}) == [
+               {~U[2024-05-10 12:30:00Z], 0.5},
+               {~U[2024-05-10 12:00:00Z], 1.0},
+               {~U[2024-05-09 12:10:00Z], 2.0},
+               {~U[2024-05-09 11:30:00Z], 4.0},
+               {~U[2024-05-09 09:30:00Z], 6.0}
+             ]
+    end
+
+    test "leaves an hour's average alone once it has been taken" do
+      history = GaugeDataManager.update_smoothed_history(@history, {~U[2024-05-10 12:30:00Z], 0.5})
+      updated = GaugeDataManager.update_smoothed_history(history, {~U[2024-05-10 12:45:00Z], 0.7})
+
+      assert Enum.take(updated, -2) == [
+               {~U[2024-05-09 11:30:00Z], 4.0},
+               {~U[2024-05-09 09:30:00Z], 6.0}
+             ]
+    end
+
+    test "averages the hour that just aged out of the last day" do
+      history = GaugeDataManager.update_smoothed_history(@history, {~U[2024-05-10 12:30:00Z], 0.5})
+      updated = GaugeDataManager.update_smoothed_history(history, {~U[2024-05-10 13:05:00Z], 0.7})
+
+      assert Enum.find(updated, fn {ts, _} -> ts == ~U[2024-05-09 12:30:00Z] end) ==
+               {~U[2024-05-09 12:30:00Z], 2.0}
+
+      refute Enum.any?(updated, fn {ts, _} -> ts == ~U[2024-05-09 12:10:00Z] end)
+    end
+
+    test "drops points older than the longest history period" do
+      history = GaugeDataManager.update_smoothed_history(@history, {~U[2024-05-10 12:30:00Z], 0.5})
+
+      refute Enum.any?(history, fn {ts, _} -> DateTime.compare(ts, ~U[2024-05-03 12:30:00Z]) != :gt end)
+    end
+  end
+end
@@ -0,0 +1,111 @@
+defmodule GlobalPulse.Services.NOAASpaceWeatherTest do
+  use ExUnit.Case, async: true
+
+  alias GlobalPulse.Services.NOAASpaceWeather
+
+  @moduletag :capture_log
+
+  describe "parse_kp_history/1" do
+    test "keeps the last 72 hours of 3-hourly Kp, oldest first" do
+      rows =
+        for i <- 0..29 do
+          time = DateTime.add(~U[2024-05-01 00:00:00Z], i * 3, :hour)
+          [Calendar.strftime(time, "%Y-%m-%d %H:%M:%S.000"), "#{rem(i, 9)}.00", "5", "8"]
+        end
+
+      header = ["time_tag", "Kp", "a_running", "station_count"]
+      history = NOAASpaceWeather.parse_kp_history(Jason.encode!([header | rows]))
+
+      assert length(history) == 24
+      assert List.first(history) == %{time: "2024-05-01T18:00:00.000Z", kp: 6.0}
+      assert List.last(history) == %{time: "2024-05-04T15:00:00.000Z", kp: 2.0}
+    end
+
+    test "skips rows without a Kp value" do
+      body = Jason.encode!([
+        ["time_tag", "Kp", "a_running", "station_count"],
+        ["2024-05-10 00:00:00.000", "2.67", "12", "8"],
+        ["2024-05-10 03:00:00.000", nil, nil, nil],
+        ["2024-05-10 06:00:00.000", 4.33, "32", "8"]
+      ])
+
+      assert NOAASpaceWeather.parse_kp_history(body) == [
+               %{time: "2024-05-10T00:00:00.000Z", kp: 2.67},
+               %{time: "2024-05-10T06:00:00.000Z", kp: 4.33}
+             ]
+    end
+
+    test "returns [] for a body it cannot parse" do
+      assert NOAASpaceWeather.parse_kp_history("not json") == []
+      assert NOAASpaceWeather.parse_kp_history("{}") == []
+    end
+  end
+
+  describe "parse_kp_forecast/1" do
+    test "keeps only the predicted rows" do
+      body = Jason.encode!([
+        ["time_tag", "kp", "observed", "noaa_scale"],
+        ["2024-05-10 00:00:00", "2.67", "observed", nil],
+        ["2024-05-10 03:00:00", "3.00", "estimated", nil],
+        ["2024-05-10 06:00:00", "4.33", "predicted", nil],
+        ["2024-05-10 09:00:00", nil, "predicted", nil],
+        ["2024-05-10 12:00:00", "5.67", "predicted", "G1"]
+      ])
+
+      assert NOAASpaceWeather.parse_kp_forecast(body) == [
+               %{time: "2024-05-10T06:00:00Z", kp: 4.33},
+               %{time: "2024-05-10T12:00:00Z", kp: 5.67}
+             ]
+    end
+
+    test "returns [] for a body it cannot parse" do
+      assert NOAASpaceWeather.parse_kp_forecast("not json") == []
+    end
+  end
+
+  describe "scale_level/2" do
+    test "reads the level NOAA reports as a string or an integer" do
+      scales = %{"G" => %{"Scale" => "3", "Text" => "strong"}, "S" => %{"Scale" => 1}}
+
+      assert NOAASpaceWeather.scale_level(scales, "G") == 3
+      assert NOAASpaceWeather.scale_level(scales, "S") == 1
+    end
+
+    test "treats a missing, null or unreadable level as 0" do
+      scales = %{"G" => %{"Scale" => nil}, "S" => nil, "R" => %{"Scale" => "none"}}
+
+      assert NOAASpaceWeather.scale_level(scales, "G") == 0
+      assert NOAASpaceWeather.scale_level(scales, "S") == 0
+      assert NOAASpaceWeather.scale_level(scales, "R") == 0
+      assert NOAASpaceWeather.scale_level(%{}, "G") == 0
+    end
+  end
+
+  describe "parse_imf/1" do
+    @header ["time_tag", "bx_gsm", "by_gsm", "bz_gsm", "lon_gsm", "lat_gsm", "bt"]
+
+    test "returns the latest Bz/Bt and the history, skipping missing readings" do
+      body = Jason.encode!([
+        @header,
+        ["2024-05-10 21:00:00.000", "1.20", "2.40", "-5.50", "63.43", "-64.2", "7.25"],
+        ["2024-05-10 21:01:00.000", nil, nil, nil, nil, nil, nil],
+        ["2024-05-10 21:02:00.000", "1.00", "2.00", "-6", "63.43", "-68.1", "8"]
+      ])
+
+      assert NOAASpaceWeather.parse_imf(body) == %{
+               imf_bz: -6.0,
+               imf_bt: 8.0,
+               imf_history: [
+                 %{time: "2024-05-10T21:00:00.000Z", bz: -5.5, bt: 7.25},
+                 %{time: "2024-05-10T21:02:00.000Z", bz: -6.0, bt: 8.0}
+               ]
+             }
+    end
+
+    test "returns %{} when there is no usable reading" do
+      assert NOAASpaceWeather.parse_imf(Jason.encode!([@header])) == %{}
+      assert NOAASpaceWeather.parse_imf(Jason.encode!([@header, ["2024-05-10 21:00:00.000", nil, nil, nil, nil, nil, nil]])) == %{}
+      assert NOAASpaceWeather.parse_imf("not json") == %{}
+    end
+  end
+end
@@ -0,0 +1,63 @@
+defmodule GlobalPulseWeb.FinancialLive.IndexTest do
+  use ExUnit.Case, async: true
+
+  alias GlobalPulseWeb.FinancialLive.Index
+
+  @spy %{price: 500.0, change: 1.2, volume: 100}
+  @btc %{price: 60_000.0, change_24h: 1200.0, change_percent_24h: 2.0, volume: 500}
+
+  defp socket(assigns) do
+    Phoenix.Component.assign(%Phoenix.LiveView.Socket{}, assigns)
+  end
+
+  describe "change-time-range" do
+    test "switches to a range the charts can serve" do
+      {:noreply, socket} = Index.handle_event("change-time-range", %{"range" => "6H"}, socket(time_range: "1D"))
+
+      assert socket.assigns.time_range == "6H"
+    end
+
+    test "ignores ranges it does not offer" do
+      {:noreply, socket} = Index.handle_event("change-time-range", %{"range" => "1W"}, socket(time_range: "1D"))
+      assert socket.assigns.time_range == "1D"
+
+      {:noreply, socket} = Index.handle_event("change-time-range", %{}, socket)
+      assert socket.assigns.time_range == "1D"
+    end
+  end
+
+  describe "partial market updates" do
+    setup do
+      %{
+        socket:
+          socket(
+            stocks: %{"SPY" => @spy},
+            crypto: %{},
+            forex: %{},
+            commodities: %{},
+            indicator_history: []
+          )
+      }
+    end
+
+    test "keep the kinds the update leaves out, in the assigns and the charts", %{socket: socket} do
+      {:noreply, socket} = Index.handle_info({:update, %{crypto: %{"BTC" => @btc}}}, socket)
+
+      assert socket.assigns.stocks == %{"SPY" => @spy}
+      assert socket.assigns.crypto == %{"BTC" => @btc}
+      assert socket.assigns.chart_data.stock_indices == [%{name: "SPY", price: 500.0, change: 1.2, volume: 100}]
+
+      assert socket.assigns.chart_data.crypto_prices == [
+               %{name: "BTC", price: 60_000.0, change: 1200.0, change_percent: 2.0, volume: 500}
+             ]
+    end
+
+    test "append one market indicator point", %{socket: socket} do
+      {:noreply, socket} = Index.handle_info({:update, %{crypto: %{"BTC" => @btc}}}, socket)
+
+      assert [%{fear_greed: fear_greed, volatility: volatility}] = socket.assigns.indicator_history
+      assert fear_greed == 82
+      assert volatility == 10.0
+    end
+  end
+end